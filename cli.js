@@ -5,12 +5,17 @@
  * Usage:
  *   japlan a2j [aplan]     Parse APLAN, output JSON
  *   japlan j2a [json]      Parse JSON, output APLAN
+ *                          (--lossless: use the tagged encoding of toJSONLossless,
+ *                           --dyalog: convert as Dyalog's ⎕JSON would)
+ *   japlan diff a b        Print structural differences between two APLAN files
+ *   japlan query path [f]  Print the values at a path (e.g. config.tables[*].name)
  *   japlan                 Start interactive REPL
  *
  * Input can be provided as argument or piped via stdin.
  */
 
-import { parse, serialize, _ns } from './japlan.js';
+import { parse, serialize, diff, query, formatPath, toJSONLossless, fromJSONLossless, importJSON, exportJSON, _ns } from './japlan.js';
+import { readFileSync } from 'fs';
 import { createInterface } from 'readline';
 
 // Convert plain _ns/_matrix keys for JSON input
@@ -43,15 +48,42 @@ function convertNsKeys(value) {
   return result;
 }
 
-function aplanToJson(aplan) {
-  const value = parse(aplan);
-  return JSON.stringify(value, null, 2);
+// JSON conventions: plain (default), lossless or dyalog
+const toJson = { plain: value => value, lossless: toJSONLossless, dyalog: exportJSON };
+const fromJson = { plain: convertNsKeys, lossless: fromJSONLossless, dyalog: importJSON };
+
+function aplanToJson(aplan, format = 'plain') {
+  return JSON.stringify(toJson[format](parse(aplan)), null, 2);
+}
+
+// JSON keys need not be APL names: mangle those that aren't (importJSON already has).
+// ⎕JSON imports every string as a character vector, "x" included
+function jsonToAplan(json, format = 'plain') {
+  const names = format === 'dyalog' ? 'error' : 'mangle';
+  const charScalars = format === 'dyalog';
+  return serialize(fromJson[format](JSON.parse(json)), { useDiamond: true, names, charScalars });
+}
+
+// One line per change: + added, - removed, ~ replaced
+function formatChange(change) {
+  const show = value => serialize(value, { useDiamond: true });
+  const where = change.path.length ? `${formatPath(change.path)}: ` : '';
+  if (change.op === 'add') return `+ ${where}${show(change.value)}`;
+  if (change.op === 'remove') return `- ${where}${show(change.oldValue)}`;
+  const shape = change.shape ? ` (shape ${change.oldShape.join(' ')} → ${change.shape.join(' ')})` : '';
+  return `~ ${where}${show(change.oldValue)} → ${show(change.value)}${shape}`;
+}
+
+function diffFiles(fileA, fileB) {
+  const a = parse(readFileSync(fileA, 'utf8'));
+  const b = parse(readFileSync(fileB, 'utf8'));
+  return diff(a, b).map(formatChange);
 }
 
-function jsonToAplan(json) {
-  const value = JSON.parse(json);
-  const converted = convertNsKeys(value);
-  return serialize(converted, { useDiamond: true });
+// One line per match: path: value
+function queryText(path, aplan) {
+  return query(parse(aplan), path)
+    .map(match => `${formatPath(match.path)}: ${serialize(match.value, { useDiamond: true })}`);
 }
 
 function readStdin() {
@@ -124,15 +156,40 @@ function startRepl() {
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const flags = ['--lossless', '--dyalog'];
+  const format = flags.find(flag => process.argv.includes(flag))?.slice(2) ?? 'plain';
+  const args = process.argv.slice(2).filter(arg => !flags.includes(arg));
   const cmd = args[0];
 
   if (cmd === 'a2j') {
     const input = args[1] || await readStdin();
-    console.log(aplanToJson(input));
+    console.log(aplanToJson(input, format));
   } else if (cmd === 'j2a') {
     const input = args[1] || await readStdin();
-    console.log(jsonToAplan(input));
+    console.log(jsonToAplan(input, format));
+  } else if (cmd === 'diff' && args.length === 3) {
+    // Exit status as diff(1): 0 same, 1 different, 2 trouble
+    try {
+      const lines = diffFiles(args[1], args[2]);
+      if (lines.length > 0) {
+        console.log(lines.join('\n'));
+        process.exit(1);
+      }
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(2);
+    }
+  } else if (cmd === 'query' && (args.length === 2 || args.length === 3)) {
+    // Exit status as grep: 0 found, 1 no match, 2 trouble
+    try {
+      const input = args[2] ? readFileSync(args[2], 'utf8') : await readStdin();
+      const lines = queryText(args[1], input);
+      if (lines.length === 0) process.exit(1);
+      console.log(lines.join('\n'));
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(2);
+    }
   } else if (!cmd && process.stdin.isTTY) {
     startRepl();
   } else if (!cmd) {
@@ -149,7 +206,9 @@ async function main() {
       process.exit(1);
     }
   } else {
-    console.error('Usage: japlan [a2j|j2a] [input]');
+    console.error('Usage: japlan [a2j|j2a] [--lossless|--dyalog] [input]');
+    console.error('       japlan diff a.apla b.apla');
+    console.error('       japlan query path [file.apla]');
     console.error('       japlan              Start REPL');
     process.exit(1);
   }
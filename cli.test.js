@@ -3,6 +3,9 @@
  */
 
 import { execSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 let passed = 0;
 let failed = 0;
@@ -44,11 +47,54 @@ test('j2a string', cli(`j2a '"hello"'`), "'hello'");
 test('j2a object', cli(`j2a '{"x":1}'`), '(x: 1)');
 test('j2a namespace', cli(`j2a '{"_ns":true,"x":1}'`), '(x: 1)');
 test('j2a matrix', cli(`j2a '{"_matrix":[[1,2],[3,4]]}'`), '[1 2 ⋄ 3 4]');
+test('j2a invalid names', cli(`j2a '{"a-b":1,"2x":{"c d":2}}'`), '(a⍙45⍙b: 1 ⋄ ⍙2x: (c⍙32⍙d: 2))');
+
+// Lossless JSON
+test('a2j lossless', cli(`a2j --lossless '(z: ⍬ ⋄ c: 3J4)'`),
+  '{\n  "z": {\n    "$aplan": "zilde"\n  },\n  "c": {\n    "$aplan": "complex",\n    "re": 3,\n    "im": 4\n  }\n}');
+test('j2a lossless', cli(`j2a --lossless '{"$aplan":"array","shape":[2,1,2],"ravel":[1,2,3,4]}'`), '[[1 2 ⋄] ⋄ [3 4 ⋄]]');
+test('lossless round trip', `${cli(`a2j --lossless "(a: [[1 2 ⋄ 3 4] ⋄ [5 6 ⋄ 7 8]] ⋄ b: ⊂1 2 ⋄ c: ⍬ ⋄ d: 3J4)"`)} | ${cli('j2a --lossless')}`,
+  '(a: [[1 2 ⋄ 3 4] ⋄ [5 6 ⋄ 7 8]] ⋄ b: ⊂1 2 ⋄ c: ⍬ ⋄ d: 3J4)');
+
+// Null
+test('j2a null', cli(`j2a '{"a":null,"b":[1,null]}'`), '(a: ⎕NULL ⋄ b: (1 ⋄ ⎕NULL))');
+test('a2j null', cli(`a2j '(a: ⎕NULL)'`), '{\n  "a": null\n}');
+
+// Dyalog ⎕JSON conventions
+test('a2j dyalog', cli(`a2j --dyalog "(a⍙45⍙b: ⊂'true' ⋄ m: ['ab' ⋄ 'cd'])"`),
+  '{\n  "a-b": true,\n  "m": [\n    "ab",\n    "cd"\n  ]\n}');
+test('j2a dyalog', cli(`j2a --dyalog '{"2x":true,"a b":[false,null]}'`), '(⍙2x: 1 ⋄ a⍙32⍙b: (0 ⋄ ⎕NULL))');
+test('j2a dyalog one-character strings', cli(`j2a --dyalog '{"a":"x","b":["y"],"c":"yz"}'`), "(a: ('x' ⋄) ⋄ b: (('y' ⋄) ⋄) ⋄ c: 'yz')");
 
 // Piped input
 test('pipe aplan', `echo "(1 ⋄ 2)" | node cli.js`, '[\n  1,\n  2\n]');
 test('pipe json', `echo '{"a":1}' | node cli.js`, '(a: 1)');
 
+// Diff (exit status 1 on differences, like diff)
+const dir = mkdtempSync(join(tmpdir(), 'japlan-'));
+const file = (name, text) => {
+  const path = join(dir, name);
+  writeFileSync(path, text);
+  return path;
+};
+const before = file('before.apla', "(name: 'x' ⋄ grid: [1 2 ⋄ 3 4] ⋄ list: 1 2 3 ⋄ old: 1)");
+const after = file('after.apla', "(name: 'y' ⋄ grid: [1 2 ⋄ 3 5] ⋄ list: 1 2 ⋄ new: 2 3)");
+const reshaped = file('reshaped.apla', "(name: 'x' ⋄ grid: [1 2 3 ⋄ 4 5 6] ⋄ list: 1 2 3 ⋄ old: 1)");
+test('diff identical', cli(`diff ${before} ${before}`), '');
+test('diff changes', `${cli(`diff ${before} ${after}`)} || true`,
+  "~ name: 'x' → 'y'\n~ grid[1;1]: 4 → 5\n- list[2]: 3\n- old: 1\n+ new: 2 3");
+test('diff shape', `${cli(`diff ${before} ${reshaped}`)} || true`,
+  '~ grid: [1 2 ⋄ 3 4] → [1 2 3 ⋄ 4 5 6] (shape 2 2 → 2 3)');
+test('diff exit status', `${cli(`diff ${before} ${after}`)} > /dev/null; echo $?`, '1');
+
+// Query (exit status 1 on no match, like grep)
+test('query member', cli(`query name ${before}`), "name: 'x'");
+test('query matrix row', cli(`query 'grid[1;]' ${before}`), 'grid[1;0]: 3\ngrid[1;1]: 4');
+test('query wildcard', cli(`query '*' ${after}`), "name: 'y'\ngrid: [1 2 ⋄ 3 5]\nlist: 1 2\nnew: 2 3");
+test('query stdin', `echo "(a: (b: 1 2 3))" | ${cli(`query 'a.b[2]'`)}`, 'a.b[2]: 3');
+test('query no match', `${cli(`query nope ${before}`)}; echo $?`, '1');
+rmSync(dir, { recursive: true });
+
 console.log(`\n=== Summary ===`);
 console.log(`Passed: ${passed}`);
 console.log(`Failed: ${failed}`);
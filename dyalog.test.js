@@ -15,10 +15,13 @@
  */
 
 import { execSync } from 'child_process';
-import { parse, serialize, equal, _ns } from './japlan.js';
+import { parse, serialize, equal, _ns, Complex } from './japlan.js';
 
 const GRITT = process.env.GRITT || `${process.env.HOME}/dev/gritt/gritt`;
 
+// Dyalog's default ⎕CT, so last-bit float differences from the round trip still match
+const CT = 1e-14;
+
 function apl(expr) {
   try {
     return execSync(`${GRITT} -e "${expr.replace(/"/g, '\\"')}"`, {
@@ -55,7 +58,7 @@ function test(aplan, opts = {}) {
     const dyalogAplan = dyalogRoundTrip(aplan);
     const dyalogValue = parse(dyalogAplan);
 
-    if (equal(jsValue, dyalogValue)) {
+    if (equal(jsValue, dyalogValue, { ct: CT })) {
       console.log(`✓ ${display}`);
       passed++;
     } else {
@@ -97,6 +100,7 @@ test('2.5E¯3');
 test('3J4');
 test('¯2J¯3');
 test('1E2J3E1');
+test('⎕NULL');
 
 // === Strands ===
 console.log('\n--- Strands ---');
@@ -191,6 +195,13 @@ test('((1 ⋄) ⋄ (2 ⋄))');        // nested single-element vectors
 test('(1 ⋄ (2 ⋄ 3) ⋄ 4)');      // mixed nesting
 test('(1 ⋄ 2 ⋄ 3 ⋄ 4 ⋄ 5)');    // longer vector
 
+// === Enclosed scalars ===
+console.log('\n--- Enclosed Scalars ---');
+test('⊂1 2 3');
+test('(⊂1 2 3 ⋄)');             // vector of one nested scalar
+test('(⊂1 2 ⋄ 3)');
+test("(x: ⊂'ab' 'cd')");
+
 // === Matrix variations ===
 console.log('\n--- Matrix Variations ---');
 test('[1 ⋄ 2 ⋄ 3 ⋄ 4]');        // 4x1 column
@@ -225,6 +236,14 @@ test("('header' ⋄ [1 2 3 ⋄ 4 5 6] ⋄ 'footer')");
 console.log('\n--- Higher-Rank Arrays ---');
 test('[[1 2 ⋄ 3 4] ⋄ [5 6 ⋄ 7 8]]');  // 3D array
 test('[[[1 2] [3 4]] ⋄ [[5 6] [7 8]]]');  // nested brackets
+test('[[1 2 ⋄ 3 4] [5 6 ⋄ 7 8]]');    // juxtaposed major cells
+test('[[1 2 ⋄ 3 4] ⋄ 5 6 7]');        // mixed cell ranks, padded
+test("['abc' ⋄ 'de']");               // character matrix, space fill
+test("['Three' ⋄ 'Blind' ⋄ 'Mice']");
+test("[1 ⋄ 'abc']");                  // each row padded with own prototype
+test("[(1 2) 'xy' ⋄ ('abc' ⋄)]");     // nested prototype fill
+test('[(1 2) (3 4 5) ⋄ (6 ⋄) ⍬]');    // nested vector cells
+test('(1 (2 3) ⋄ 4)');                // strand with parenthesised item
 
 // === Newline separators (local comparison - shell can't pass newlines to gritt) ===
 console.log('\n--- Newline Separators ---');
@@ -254,6 +273,8 @@ testNewline('(1\n2\n3)', '(1 ⋄ 2 ⋄ 3)');
 testNewline('[1 2\n3 4]', '[1 2 ⋄ 3 4]');
 testNewline('(x: 1\ny: 2)', '(x: 1 ⋄ y: 2)');
 testNewline('[\n1 2\n3 4\n]', '[1 2 ⋄ 3 4]');
+testNewline('(1 ⍝ one\n2)', '(1 ⋄ 2)');
+testNewline('(⍝ header\nx: 1\ny: 2 ⍝ ⋄ z: 3\n)', '(x: 1 ⋄ y: 2)');
 
 // === APL identifiers ===
 console.log('\n--- APL Identifiers ---');
@@ -278,7 +299,7 @@ function testSerialize(jsValue, label) {
     const fromJaplan = parse(aplan);
     const fromDyalog = parse(dyalogAplan);
 
-    if (equal(fromJaplan, fromDyalog)) {
+    if (equal(fromJaplan, fromDyalog, { ct: CT })) {
       console.log(`✓ ${display}`);
       passed++;
     } else {
@@ -301,7 +322,8 @@ testSerialize([[1,2],[3,4]], 'nested array');
 testSerialize({ x: 1, y: 2 }, 'object as namespace');
 testSerialize('hello', 'string');
 testSerialize("it's", 'string with quote');
-testSerialize({ re: 3, im: 4 }, 'complex number');
+testSerialize(new Complex(3, 4), 'complex number');
+testSerialize({ a: null, b: 1 }, 'null member');
 
 // Matrix with _shape
 const mat = [[1,2],[3,4]];
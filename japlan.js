@@ -8,6 +8,9 @@
  * - Numbers: 42, ¯5, 3.14, 1E5, 3J4 (complex)
  * - Strings: 'text' with '' for literal quote
  * - Zilde: ⍬ (empty numeric vector)
+ * - Null: ⎕NULL
+ * - Enclosure: ⊂ (nested scalar, e.g. ⊂1 2 3)
+ * - Comments: ⍝ to end of line
  */
 
 // Token types
@@ -15,7 +18,9 @@ const TokenType = {
   NUMBER: 'NUMBER',
   STRING: 'STRING',
   ZILDE: 'ZILDE',
+  ENCLOSE: 'ENCLOSE',
   NAME: 'NAME',
+  SYSNAME: 'SYSNAME',  // ⎕-prefixed system name, upper-cased
   COLON: 'COLON',
   LPAREN: 'LPAREN',
   RPAREN: 'RPAREN',
@@ -23,6 +28,7 @@ const TokenType = {
   RBRACKET: 'RBRACKET',
   SEPARATOR: 'SEPARATOR',  // ⋄ or newline
   WHITESPACE: 'WHITESPACE',
+  COMMENT: 'COMMENT',
   EOF: 'EOF',
 };
 
@@ -30,6 +36,9 @@ const TokenType = {
 const HIGH_MINUS = '¯';
 const DIAMOND = '⋄';
 const ZILDE = '⍬';
+const ENCLOSE = '⊂';
+const LAMP = '⍝';
+const QUAD = '⎕';
 
 // Separators: diamond, LF, CR, NEL
 const SEPARATORS = new Set([DIAMOND, '\n', '\r', '\x85']);
@@ -42,17 +51,374 @@ Object.freeze(zilde);
 // Namespace marker - Symbol avoids collision with user keys and doesn't appear in Object.keys()
 const _ns = Symbol.for('aplan.namespace');
 
-// APL identifier start characters (simplified - covers common cases)
-const isNameStart = (ch) => /[A-Za-z_∆⍙Ⓐ-Ⓩ]/.test(ch) || (ch >= 'À' && ch <= 'ü');
-const isNameChar = (ch) => isNameStart(ch) || /[0-9]/.test(ch);
+/**
+ * Character scalar
+ *
+ * Used when parsing or serializing with { charScalars: true }: 'a' becomes a
+ * Char, and JS strings always mean character vectors, so ('a' ⋄) is the
+ * string 'a'. Without the option, single-character strings stand for scalars.
+ */
+class Char {
+  constructor(value) {
+    if (typeof value !== 'string' || Array.from(value).length !== 1) {
+      throw new Error(`Char requires a single character, got ${JSON.stringify(value)}`);
+    }
+    this.value = value;
+    Object.freeze(this);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Exact decimal number (for ⎕FR←1287 data)
+ *
+ * Parsed with { decimal: true }. Keeps the literal as written, so serialize
+ * emits the same digits, and compares by value: 1.50 equals 1.5E0.
+ * toString() gives JS notation for handing to a decimal library.
+ */
+class Decimal {
+  constructor(value) {
+    const text = String(value).replace(/¯/g, '-');
+    const match = /^(-)?(\d*)(?:\.(\d*))?(?:[eE]([-+]?\d+))?$/.exec(text);
+    if (!match || !(match[2] || match[3])) {
+      throw new Error(`Invalid decimal: ${JSON.stringify(String(value))}`);
+    }
+    const [, sign = '', whole, fraction = '', exponent = '0'] = match;
+
+    // Normalized value: coefficient × 10 ^ exponent, without trailing zeros
+    let coefficient = BigInt(sign + (whole + fraction || '0'));
+    let scale = parseInt(exponent, 10) - fraction.length;
+    while (coefficient !== 0n && coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      scale++;
+    }
+    this.text = text.replace(/-/g, HIGH_MINUS).replace('e', 'E').replace('+', '');
+    this.coefficient = coefficient;
+    this.exponent = coefficient === 0n ? 0 : scale;
+    Object.freeze(this);
+  }
+
+  equals(other) {
+    return other instanceof Decimal && this.coefficient === other.coefficient && this.exponent === other.exponent;
+  }
+
+  toNumber() {
+    return parseFloat(this.toString());
+  }
+
+  toString() {
+    return this.text.replace(/¯/g, '-');
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * Complex number (APL 3J4)
+ *
+ * A class rather than a plain { re, im } object, so namespaces with re and im
+ * members are never mistaken for numbers. A zero imaginary part makes it equal
+ * to the real number, and it serializes as one; the parser returns 3J0 as 3.
+ */
+class Complex {
+  constructor(re, im = 0) {
+    if (typeof re !== 'number' || typeof im !== 'number') {
+      throw new Error(`Complex requires numeric parts, got ${typeof re} and ${typeof im}`);
+    }
+    this.re = re;
+    this.im = im;
+    Object.freeze(this);
+  }
+
+  /**
+   * Complex from a number or Complex
+   */
+  static from(value) {
+    return value instanceof Complex ? value : new Complex(value);
+  }
+
+  add(other) {
+    const z = Complex.from(other);
+    return new Complex(this.re + z.re, this.im + z.im);
+  }
+
+  mul(other) {
+    const z = Complex.from(other);
+    return new Complex(this.re * z.re - this.im * z.im, this.re * z.im + this.im * z.re);
+  }
+
+  abs() {
+    return Math.hypot(this.re, this.im);
+  }
+
+  conj() {
+    return new Complex(this.re, -this.im);
+  }
+
+  toString() {
+    return new Serializer().serializeComplex(this);
+  }
+
+  toJSON() {
+    return { re: this.re, im: this.im };
+  }
+}
+
+/**
+ * Enclosed array (⊂) - a nested scalar holding a non-simple array
+ *
+ * Distinguishes ⊂1 2 3 (a scalar) from 1 2 3, e.g. as a vector item:
+ * (⊂1 2 3 ⋄) is [new Enclosed([1, 2, 3])] while (1 2 3 ⋄) is [[1, 2, 3]].
+ * Use enclose() to build one: enclosing a simple scalar is a no-op, as in APL.
+ */
+class Enclosed {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Enclose a value (APL ⊂): simple scalars, including namespaces and null
+ * (⎕NULL), are returned unchanged. With { charScalars: true } a one-character
+ * string is a vector, so it is enclosed.
+ */
+function enclose(value, options = {}) {
+  if (value === null || isNumeric(value) || value instanceof Char) return value;
+  if (!options.charScalars && typeof value === 'string' && Array.from(value).length === 1) return value;
+  if (containerKind(value) === 'namespace') return value;
+  return new Enclosed(value);
+}
+
+/**
+ * APL array with explicit shape and flat (row-major) ravel
+ *
+ * An alternative to nested JS arrays with a _shape expando, which is lost by
+ * map, slice, spread and JSON.stringify. parse emits these with
+ * { aplArray: true }; serialize, equal and get accept them anywhere.
+ * Iterating yields major cells (items of a vector, rows of a matrix).
+ */
+class APLArray {
+  constructor(shape, ravel) {
+    const size = shape.reduce((a, b) => a * b, 1);
+    if (ravel.length !== size) {
+      throw new Error(`Ravel length ${ravel.length} does not match shape ${shape.join(' ')}`);
+    }
+    this.shape = shape;
+    this.ravel = ravel;
+  }
+
+  /**
+   * Convert a nested array, _shape matrix, string or scalar (items are kept as-is)
+   */
+  static from(value) {
+    if (value instanceof APLArray) return value;
+    return new APLArray(getShape(value), flatten(value));
+  }
+
+  get rank() {
+    return this.shape.length;
+  }
+
+  get size() {
+    return this.ravel.length;
+  }
+
+  /**
+   * Element type: 'int32' or 'float64' for typed ravels, else 'numeric' or
+   * 'char' when every item is one (empty arrays are numeric), 'mixed' for
+   * other simple scalars and 'nested' when any item is an array or ⊂
+   */
+  get type() {
+    if (this.ravel instanceof Int32Array) return 'int32';
+    if (this.ravel instanceof Float64Array) return 'float64';
+    const items = toArray(this.ravel);
+    if (items.every(isNumeric)) return 'numeric';
+    const isChar = item => item instanceof Char || (typeof item === 'string' && Array.from(item).length === 1);
+    if (items.every(isChar)) return 'char';
+    const isSimpleScalar = item => item === null || isNumeric(item) || isChar(item) || containerKind(item) === 'namespace';
+    return items.every(isSimpleScalar) ? 'mixed' : 'nested';
+  }
+
+  /**
+   * Prototype (typical element, as used for fill): 0 for numbers, ' ' for
+   * characters, with the structure of the first item for nested arrays
+   */
+  get prototype() {
+    return prototype(this);
+  }
+
+  /**
+   * Number of major cells (1 for a scalar)
+   */
+  get tally() {
+    return this.rank === 0 ? 1 : this.shape[0];
+  }
+
+  /**
+   * Major cell i: an item for vectors, an APLArray for higher ranks
+   */
+  cell(i) {
+    if (i < 0 || i >= this.tally) {
+      throw new Error(`Cell ${i} out of bounds for ${this.tally} major cells`);
+    }
+    if (this.rank <= 1) return this.ravel[i];
+    const cellShape = this.shape.slice(1);
+    const cellSize = cellShape.reduce((a, b) => a * b, 1);
+    return new APLArray(cellShape, this.ravel.slice(i * cellSize, (i + 1) * cellSize));
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.tally; i++) {
+      yield this.cell(i);
+    }
+  }
+
+  /**
+   * Iterate over the ravel
+   */
+  values() {
+    return this.ravel[Symbol.iterator]();
+  }
+
+  /**
+   * APL reshape (⍴): ravel items are reused cyclically; empty arrays fill with their prototype
+   */
+  reshape(shape) {
+    const size = shape.reduce((a, b) => a * b, 1);
+    const ravel = new Array(size);
+    const fill = this.size === 0 ? prototype(this) : undefined;
+    for (let i = 0; i < size; i++) {
+      ravel[i] = this.size === 0 ? fill : this.ravel[i % this.size];
+    }
+    return new APLArray(shape, ravel);
+  }
+
+  /**
+   * Apply fn to every ravel item, keeping the shape
+   */
+  map(fn) {
+    return new APLArray(this.shape, Array.from(this.ravel, fn));
+  }
+
+  /**
+   * Convert to the nested representation: scalar, array, or nested arrays with _shape
+   * Items that are APLArrays are converted too
+   */
+  toNested() {
+    const items = Array.from(this.ravel, el => el instanceof APLArray ? el.toNested() : el);
+    if (this.rank === 0) return items[0];
+    if (this.rank === 1) return items;
+    const result = this.shape[0] === 0 ? [] : rebuildNested(items, this.shape);
+    result._shape = this.shape;
+    return result;
+  }
+
+  toJSON() {
+    return { shape: this.shape, ravel: Array.from(this.ravel) };
+  }
+}
+
+// Dyalog identifiers: a letter (any script), _ ∆ ⍙ or Ⓐ-Ⓩ, then also digits
+// and ¯; system names are ⎕ followed by ASCII letters, in either case
+const isNameStart = (ch) => /^[\p{L}_∆⍙Ⓐ-Ⓩ]$/u.test(ch ?? '');
+const isDigit = (ch) => ch >= '0' && ch <= '9';
+const isNameChar = (ch) => isNameStart(ch) || isDigit(ch) || ch === HIGH_MINUS;
+const isSystemNameChar = (ch) => /^[A-Za-z]$/.test(ch ?? '');
+const isValidName = (name) => {
+  const chars = Array.from(name);
+  return chars.length > 0 && isNameStart(chars[0]) && chars.every(isNameChar);
+};
+
+// ⎕JSON name mangling: characters not valid in a name become ⍙<code point>⍙,
+// and a name that cannot start with its first character gets a leading ⍙.
+// Where ⍙s already in the name would be misread when demangling, every ⍙ (and
+// a leading digit) is escaped instead, so demangleName always undoes it.
+function mangleName(name) {
+  const escape = ch => `⍙${ch.codePointAt(0)}⍙`;
+  const chars = Array.from(name);
+  const body = chars.map(ch => (isNameChar(ch) ? ch : escape(ch))).join('');
+  const mangled = isNameStart(Array.from(body)[0]) ? body : `⍙${body}`;
+  if (demangleName(mangled) === name) return mangled;
+  return chars
+    .map((ch, i) => ((i === 0 ? isNameStart(ch) : isNameChar(ch)) && ch !== '⍙' ? ch : escape(ch)))
+    .join('');
+}
+
+function demangleName(name) {
+  const body = /^⍙(?!\d+⍙)(?=[\d¯]|$)/.test(name) ? name.slice(1) : name;
+  return body.replace(/⍙(\d+)⍙/g, (escape, code) => (Number(code) <= 0x10FFFF ? String.fromCodePoint(Number(code)) : escape));
+}
+
+// Line terminators for source excerpts
+const LINE_BREAK = /[\n\r\x85]/;
+
+/**
+ * Syntax error with source location
+ *
+ * Thrown by the tokenizer and parser. Carries 1-based line/column, 0-based
+ * offset, the expected and actual token where applicable, and a caret-annotated
+ * excerpt of the offending source line.
+ */
+class AplanSyntaxError extends Error {
+  constructor(reason, { source, line, column, offset, expected, actual } = {}) {
+    const excerpt = source !== undefined && offset !== undefined
+      ? sourceExcerpt(source, offset, line)
+      : undefined;
+    let message = reason;
+    if (line !== undefined) message += ` at line ${line}, column ${column}`;
+    if (excerpt) message += `\n${excerpt}`;
+    super(message);
+    this.name = 'AplanSyntaxError';
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+    this.offset = offset;
+    this.expected = expected;
+    this.actual = actual;
+    this.excerpt = excerpt;
+  }
+}
+
+/**
+ * Render the source line containing offset with a caret under it
+ */
+function sourceExcerpt(source, offset, line) {
+  let start = offset;
+  while (start > 0 && !LINE_BREAK.test(source[start - 1])) start--;
+  let end = offset;
+  while (end < source.length && !LINE_BREAK.test(source[end])) end++;
+
+  const text = source.slice(start, end);
+  // Keep tabs in the padding so the caret lines up with the source
+  const pad = text.slice(0, offset - start).replace(/[^\t]/g, ' ');
+  const gutter = String(line);
+  return `${gutter} | ${text}\n${' '.repeat(gutter.length)} | ${pad}^`;
+}
 
 /**
  * Tokenizer - converts APLAN source to tokens
+ *
+ * Options:
+ * - trivia: also emit WHITESPACE and COMMENT tokens and keep each token's raw
+ *   text, so the token texts concatenate back to the exact source
+ * - bigint: read integer literals outside the safe-integer range as BigInt;
+ *   'always' reads every integer literal as BigInt
+ * - decimal: read real literals as Decimal, keeping their exact digits
  */
 class Tokenizer {
-  constructor(source) {
+  constructor(source, options = {}) {
     this.source = source;
+    this.trivia = options.trivia ?? false;
+    this.bigint = options.bigint ?? false;
+    this.decimal = options.decimal ?? false;
     this.pos = 0;
+    this.line = 1;
+    this.column = 1;
     this.tokens = [];
   }
 
@@ -61,7 +427,54 @@ class Tokenizer {
   }
 
   advance() {
-    return this.source[this.pos++];
+    const ch = this.source[this.pos++];
+    if (ch === '\n' || ch === '\x85' || (ch === '\r' && this.source[this.pos] !== '\n')) {
+      this.line++;
+      this.column = 1;
+    } else {
+      this.column++;
+    }
+    return ch;
+  }
+
+  /**
+   * Current position: 1-based line/column, 0-based offset
+   */
+  location() {
+    return { line: this.line, column: this.column, offset: this.pos };
+  }
+
+  addToken(token, start) {
+    // Called once the token has been read, so pos is its end offset
+    token.line = start.line;
+    token.column = start.column;
+    token.offset = start.offset;
+    token.end = this.pos;
+    if (this.trivia) token.text = this.source.slice(start.offset, this.pos);
+    this.tokens.push(token);
+  }
+
+  /**
+   * Emit a WHITESPACE or COMMENT token if one starts here (trivia mode)
+   */
+  readTrivia() {
+    const ch = this.peek();
+    const start = this.location();
+    if (ch === ' ' || ch === '\t') {
+      while (this.peek() === ' ' || this.peek() === '\t') this.advance();
+      this.addToken({ type: TokenType.WHITESPACE }, start);
+      return true;
+    }
+    if (ch === LAMP) {
+      this.skipComment();
+      this.addToken({ type: TokenType.COMMENT }, start);
+      return true;
+    }
+    return false;
+  }
+
+  error(reason, start = this.location()) {
+    return new AplanSyntaxError(reason, { source: this.source, ...start });
   }
 
   isAtEnd() {
@@ -73,13 +486,24 @@ class Tokenizer {
       const ch = this.peek();
       if (ch === ' ' || ch === '\t') {
         this.advance();
+      } else if (ch === LAMP) {
+        this.skipComment();
       } else {
         break;
       }
     }
   }
 
-  readString() {
+  /**
+   * Skip a ⍝ comment up to (not including) the line break, which still separates
+   */
+  skipComment() {
+    while (!this.isAtEnd() && !LINE_BREAK.test(this.peek())) {
+      this.advance();
+    }
+  }
+
+  readString(start) {
     // Opening quote already consumed
     let value = '';
     while (!this.isAtEnd()) {
@@ -97,11 +521,12 @@ class Tokenizer {
         value += ch;
       }
     }
-    throw new Error('Unterminated string');
+    throw this.error('Unterminated string', start);
   }
 
-  readNumber() {
+  readNumber(start) {
     let numStr = '';
+    let integer = true;
 
     // Handle negative (high minus)
     if (this.peek() === HIGH_MINUS) {
@@ -110,20 +535,22 @@ class Tokenizer {
     }
 
     // Read integer part
-    while (!this.isAtEnd() && /[0-9]/.test(this.peek())) {
+    while (!this.isAtEnd() && isDigit(this.peek())) {
       numStr += this.advance();
     }
 
     // Decimal part
-    if (this.peek() === '.' && /[0-9]/.test(this.peek(1))) {
+    if (this.peek() === '.' && isDigit(this.peek(1))) {
+      integer = false;
       numStr += this.advance(); // .
-      while (!this.isAtEnd() && /[0-9]/.test(this.peek())) {
+      while (!this.isAtEnd() && isDigit(this.peek())) {
         numStr += this.advance();
       }
     }
 
     // Exponential part
     if (this.peek() === 'E' || this.peek() === 'e') {
+      integer = false;
       numStr += this.advance();
       if (this.peek() === HIGH_MINUS) {
         numStr += '-';
@@ -131,9 +558,7 @@ class Tokenizer {
       } else if (this.peek() === '-' || this.peek() === '+') {
         numStr += this.advance();
       }
-      while (!this.isAtEnd() && /[0-9]/.test(this.peek())) {
-        numStr += this.advance();
-      }
+      numStr += this.readExponentDigits(start);
     }
 
     // Complex part (J notation)
@@ -154,19 +579,36 @@ class Tokenizer {
           imagStr += '-';
           this.advance();
         }
-        while (!this.isAtEnd() && /[0-9]/.test(this.peek())) {
-          imagStr += this.advance();
-        }
+        imagStr += this.readExponentDigits(start);
       }
       const im = parseFloat(imagStr);
       // If imaginary is 0, it's just a real number
       if (im === 0) {
         return { type: TokenType.NUMBER, value: parseFloat(numStr) };
       }
-      return { type: TokenType.NUMBER, value: { re: parseFloat(numStr), im } };
+      return { type: TokenType.NUMBER, value: new Complex(parseFloat(numStr), im) };
+    }
+
+    if (this.decimal) {
+      return { type: TokenType.NUMBER, value: new Decimal(numStr) };
+    }
+
+    const value = parseFloat(numStr);
+    if (integer && this.bigint && (this.bigint === 'always' || !Number.isSafeInteger(value))) {
+      return { type: TokenType.NUMBER, value: BigInt(numStr) };
     }
+    return { type: TokenType.NUMBER, value };
+  }
 
-    return { type: TokenType.NUMBER, value: parseFloat(numStr) };
+  readExponentDigits(start) {
+    let digits = '';
+    while (!this.isAtEnd() && isDigit(this.peek())) {
+      digits += this.advance();
+    }
+    if (digits === '') {
+      throw this.error('Expected digits in exponent', start);
+    }
+    return digits;
   }
 
   readName() {
@@ -177,81 +619,120 @@ class Tokenizer {
     return { type: TokenType.NAME, value: name };
   }
 
+  readSystemName(start) {
+    let name = this.advance();
+    while (!this.isAtEnd() && isSystemNameChar(this.peek())) {
+      name += this.advance();
+    }
+    if (name === QUAD) {
+      throw this.error('Expected system name after ⎕', start);
+    }
+    return { type: TokenType.SYSNAME, value: name.toUpperCase() };
+  }
+
   tokenize() {
     while (!this.isAtEnd()) {
-      this.skipWhitespace();
-      if (this.isAtEnd()) break;
+      if (this.trivia) {
+        if (this.readTrivia()) continue;
+      } else {
+        this.skipWhitespace();
+        if (this.isAtEnd()) break;
+      }
 
       const ch = this.peek();
+      const start = this.location();
 
       // Separators
       if (SEPARATORS.has(ch)) {
         this.advance();
-        // Collapse consecutive separators
-        while (!this.isAtEnd() && (SEPARATORS.has(this.peek()) || this.peek() === ' ' || this.peek() === '\t')) {
-          this.advance();
+        // Collapse consecutive separators, along with blanks and comments between them
+        // (in trivia mode those become tokens of their own)
+        while (!this.isAtEnd()) {
+          const next = this.peek();
+          if (this.trivia && !SEPARATORS.has(next)) {
+            break;
+          } else if (next === LAMP) {
+            this.skipComment();
+          } else if (SEPARATORS.has(next) || next === ' ' || next === '\t') {
+            this.advance();
+          } else {
+            break;
+          }
         }
-        this.tokens.push({ type: TokenType.SEPARATOR });
+        this.addToken({ type: TokenType.SEPARATOR }, start);
         continue;
       }
 
       // String
       if (ch === "'") {
         this.advance();
-        this.tokens.push(this.readString());
+        this.addToken(this.readString(start), start);
         continue;
       }
 
       // Number (starts with digit or high minus followed by digit)
-      if (/[0-9]/.test(ch) || (ch === HIGH_MINUS && /[0-9]/.test(this.peek(1)))) {
-        this.tokens.push(this.readNumber());
+      if (isDigit(ch) || (ch === HIGH_MINUS && isDigit(this.peek(1)))) {
+        this.addToken(this.readNumber(start), start);
         continue;
       }
 
       // Zilde
       if (ch === ZILDE) {
         this.advance();
-        this.tokens.push({ type: TokenType.ZILDE });
+        this.addToken({ type: TokenType.ZILDE }, start);
+        continue;
+      }
+
+      // Enclose
+      if (ch === ENCLOSE) {
+        this.advance();
+        this.addToken({ type: TokenType.ENCLOSE }, start);
         continue;
       }
 
       // Structural tokens
       if (ch === '(') {
         this.advance();
-        this.tokens.push({ type: TokenType.LPAREN });
+        this.addToken({ type: TokenType.LPAREN }, start);
         continue;
       }
       if (ch === ')') {
         this.advance();
-        this.tokens.push({ type: TokenType.RPAREN });
+        this.addToken({ type: TokenType.RPAREN }, start);
         continue;
       }
       if (ch === '[') {
         this.advance();
-        this.tokens.push({ type: TokenType.LBRACKET });
+        this.addToken({ type: TokenType.LBRACKET }, start);
         continue;
       }
       if (ch === ']') {
         this.advance();
-        this.tokens.push({ type: TokenType.RBRACKET });
+        this.addToken({ type: TokenType.RBRACKET }, start);
         continue;
       }
       if (ch === ':') {
         this.advance();
-        this.tokens.push({ type: TokenType.COLON });
+        this.addToken({ type: TokenType.COLON }, start);
         continue;
       }
 
       // Name (identifier)
       if (isNameStart(ch)) {
-        this.tokens.push(this.readName());
+        this.addToken(this.readName(), start);
+        continue;
+      }
+
+      // System name
+      if (ch === QUAD) {
+        this.addToken(this.readSystemName(start), start);
         continue;
       }
 
-      throw new Error(`Unexpected character: '${ch}' (U+${ch.charCodeAt(0).toString(16).toUpperCase()}) at position ${this.pos}`);
+      throw this.error(`Unexpected character: '${ch}' (U+${ch.charCodeAt(0).toString(16).toUpperCase()})`, start);
     }
 
-    this.tokens.push({ type: TokenType.EOF });
+    this.addToken({ type: TokenType.EOF }, this.location());
     return this.tokens;
   }
 }
@@ -260,15 +741,24 @@ class Tokenizer {
  * Parser - converts tokens to JavaScript values
  *
  * Representation:
- * - Scalars: number, string, { re, im } for complex
- * - Vectors: arrays
+ * - Scalars: number, string, Complex, Char (charScalars option)
+ * - Vectors: arrays, strings for character vectors
  * - Matrices: nested arrays with _shape property
  * - Namespaces: objects with _ns Symbol property
  * - Zilde: frozen empty array with _isZilde property
+ * - ⎕NULL: null
+ * - Nested scalars: Enclosed
+ * - With the aplArray option, vectors and matrices are APLArray instances
+ * - With the typed option, numeric APLArrays have Int32Array/Float64Array ravels
  */
 class Parser {
-  constructor(tokens) {
+  constructor(tokens, source, options = {}) {
     this.tokens = tokens;
+    this.source = source;
+    this.charScalars = options.charScalars ?? false;
+    this.typed = options.typed ?? false;
+    this.aplArray = (options.aplArray ?? false) || this.typed;
+    this.demangle = options.demangle ?? false;
     this.pos = 0;
   }
 
@@ -286,7 +776,21 @@ class Parser {
 
   consume(type, message) {
     if (this.check(type)) return this.advance();
-    throw new Error(message + ` (got ${this.peek()?.type})`);
+    throw this.error(`${message} (got ${this.peek()?.type})`, this.peek(), type);
+  }
+
+  /**
+   * Build a syntax error located at token
+   */
+  error(reason, token = this.peek(), expected) {
+    return new AplanSyntaxError(reason, {
+      source: this.source,
+      line: token?.line,
+      column: token?.column,
+      offset: token?.offset,
+      expected,
+      actual: token?.type,
+    });
   }
 
   /**
@@ -294,8 +798,12 @@ class Parser {
    */
   parse() {
     const result = this.parseValue();
+    // Trailing separators (e.g. final newline of a file)
+    while (this.check(TokenType.SEPARATOR)) {
+      this.advance();
+    }
     if (!this.check(TokenType.EOF)) {
-      throw new Error(`Unexpected token after value: ${this.peek()?.type}`);
+      throw this.error(`Unexpected token after value: ${this.peek()?.type}`, this.peek(), TokenType.EOF);
     }
     return result;
   }
@@ -311,49 +819,132 @@ class Parser {
 
     const token = this.peek();
 
-    if (token.type === TokenType.NUMBER) {
-      return this.parseStrand();
-    }
-    if (token.type === TokenType.STRING) {
+    if (this.isStrandItem()) {
       return this.parseStrand();
     }
-    if (token.type === TokenType.ZILDE) {
+    if (token.type === TokenType.NAME || token.type === TokenType.SYSNAME) {
+      // Standalone name - this shouldn't happen in pure APLAN
+      // but might be part of an APL expression
       this.advance();
-      return zilde;
+      return { __aplan_name__: token.value };
+    }
+
+    throw this.error(`Unexpected token: ${token.type}`, token);
+  }
+
+  /**
+   * Check whether the next token starts an array item that can appear in a strand
+   */
+  isStrandItem() {
+    return this.check(TokenType.NUMBER) || this.check(TokenType.STRING) || this.check(TokenType.ZILDE) ||
+      this.check(TokenType.LPAREN) || this.check(TokenType.LBRACKET) || this.check(TokenType.ENCLOSE) ||
+      this.checkNull();
+  }
+
+  /**
+   * Check whether the next tokens start a namespace member (name:), counting
+   * system names so that consumeMemberName can reject them by name
+   */
+  checkMember() {
+    return (this.check(TokenType.NAME) || this.check(TokenType.SYSNAME)) && this.peek(1)?.type === TokenType.COLON;
+  }
+
+  consumeMemberName() {
+    if (this.check(TokenType.SYSNAME)) {
+      throw this.error(`System name ${this.peek().value} cannot be a namespace member`);
+    }
+    return this.consume(TokenType.NAME, 'Expected name in namespace');
+  }
+
+  /**
+   * ⎕NULL is the one system name that is a value
+   */
+  checkNull() {
+    return this.check(TokenType.SYSNAME) && this.peek().value === '⎕NULL';
+  }
+
+  /**
+   * ⊂ applies to everything to its right, so it may only start a strand
+   */
+  checkEnclosePosition(items) {
+    if (this.check(TokenType.ENCLOSE) && items.length > 0) {
+      throw this.error('⊂ inside a strand must be parenthesised, e.g. 1 (⊂2 3)');
     }
+  }
+
+  /**
+   * Parse a single strand item: scalar, zilde, parenthesized or bracketed
+   */
+  parseItem() {
+    const token = this.peek();
+
     if (token.type === TokenType.LPAREN) {
       return this.parseParenthesized();
     }
     if (token.type === TokenType.LBRACKET) {
       return this.parseBracketed();
     }
-    if (token.type === TokenType.NAME) {
-      // Standalone name - this shouldn't happen in pure APLAN
-      // but might be part of an APL expression
-      this.advance();
-      return { __aplan_name__: token.value };
+    this.advance();
+    if (token.type === TokenType.ZILDE) {
+      return zilde;
     }
-
-    throw new Error(`Unexpected token: ${token.type}`);
+    if (token.type === TokenType.SYSNAME) {
+      return null;
+    }
+    if (token.type === TokenType.ENCLOSE) {
+      if (!this.isStrandItem()) {
+        throw this.error('Expected array after ⊂', this.peek());
+      }
+      return enclose(this.parseStrand(), { charScalars: this.charScalars });
+    }
+    if (this.charScalars && token.type === TokenType.STRING && Array.from(token.value).length === 1) {
+      return new Char(token.value);
+    }
+    return token.value;
   }
 
   /**
-   * Parse a strand: numbers and/or strings separated by whitespace
+   * Parse a strand: juxtaposed items separated by whitespace, e.g. 1 'a' (2 3) [4 ⋄ 5]
    */
   parseStrand() {
     const items = [];
 
-    while (this.check(TokenType.NUMBER) || this.check(TokenType.STRING)) {
-      const token = this.advance();
-      items.push(token.value);
+    while (this.isStrandItem()) {
+      this.checkEnclosePosition(items);
+      items.push(this.parseItem());
     }
 
     // Single item = scalar
     if (items.length === 1) {
       return items[0];
     }
-    // Multiple items = vector (strand notation)
-    return items;
+    // Multiple items = vector (strand notation); 'a' 'b' is 'ab' with charScalars
+    return (this.charScalars && this.charVector(items)) || this.vector(items);
+  }
+
+  /**
+   * Wrap vector items in an APLArray when the aplArray option is set
+   */
+  vector(items) {
+    return this.aplArray ? this.array([items.length], items) : items;
+  }
+
+  array(shape, ravel) {
+    return new APLArray(shape, (this.typed && typedRavel(ravel)) || ravel);
+  }
+
+  /**
+   * Join items into a string if they are all character scalars
+   * ('a' 'b' with charScalars; single-character strings otherwise)
+   */
+  charVector(items) {
+    const isChar = this.charScalars
+      ? el => el instanceof Char
+      : el => typeof el === 'string' && el.length === 1;
+    if (items.length > 0 && items.every(isChar)) {
+      return items.join('');
+    }
+    return undefined;
   }
 
   /**
@@ -378,7 +969,7 @@ class Parser {
     }
 
     // Check if this is a namespace (name: value) or vector
-    const isNamespace = this.check(TokenType.NAME) && this.peek(1)?.type === TokenType.COLON;
+    const isNamespace = this.checkMember();
 
     if (isNamespace) {
       return this.parseNamespace();
@@ -401,11 +992,11 @@ class Parser {
       }
       if (this.check(TokenType.RPAREN)) break;
 
-      const nameToken = this.consume(TokenType.NAME, 'Expected name in namespace');
+      const nameToken = this.consumeMemberName();
       this.consume(TokenType.COLON, 'Expected : after name');
       const value = this.parseValue();
 
-      ns[nameToken.value] = value;
+      ns[this.demangle ? demangleName(nameToken.value) : nameToken.value] = value;
 
       // Skip separators between pairs
       while (this.check(TokenType.SEPARATOR)) {
@@ -446,12 +1037,8 @@ class Parser {
       return elements[0];
     }
 
-    // Character vector: array of single-char strings → string
-    if (elements.every(el => typeof el === 'string' && el.length === 1)) {
-      return elements.join('');
-    }
-
-    return elements;
+    // Character vector: array of character scalars → string
+    return this.charVector(elements) ?? this.vector(elements);
   }
 
   /**
@@ -460,7 +1047,7 @@ class Parser {
    * Without separators, each element (not strand) becomes a major cell.
    */
   parseBracketed() {
-    this.consume(TokenType.LBRACKET, 'Expected [');
+    const open = this.consume(TokenType.LBRACKET, 'Expected [');
 
     // Skip leading separators
     let hasSeparator = false;
@@ -471,7 +1058,7 @@ class Parser {
 
     // Empty brackets - invalid APLAN (no prototype)
     if (this.check(TokenType.RBRACKET)) {
-      throw new Error('Empty brackets [] are not valid APLAN');
+      throw this.error('Empty brackets [] are not valid APLAN', open);
     }
 
     const rows = [];
@@ -494,63 +1081,160 @@ class Parser {
     // Without separators, unpack strands so each element is a major cell
     // e.g., [1 2] → 2 rows, not 1 row of strand
     let finalRows = rows;
-    if (!hasSeparator && rows.length === 1 && Array.isArray(rows[0]) && !rows[0]._shape) {
-      finalRows = rows[0];
+    if (!hasSeparator && rows.length === 1) {
+      if (Array.isArray(rows[0]) && !rows[0]._shape) {
+        finalRows = rows[0];
+      } else if (rows[0] instanceof APLArray && rows[0].rank === 1) {
+        finalRows = Array.from(rows[0].ravel);
+      }
     }
 
     // Convert rows to matrix
-    return rowsToMatrix(finalRows);
+    if (this.aplArray) {
+      const { shape, ravel } = mixCells(finalRows, this.charScalars);
+      return this.array(shape, ravel);
+    }
+    return rowsToMatrix(finalRows, this.charScalars);
   }
 }
 
 /**
  * Convert array of rows to matrix representation
- * In APLAN, [a ⋄ b ⋄ c] creates a matrix where each element is a major cell
+ * In APLAN, [a ⋄ b ⋄ c] creates an array whose major cells are a, b and c.
+ * Cells of lower rank are extended with leading unit axes (scalars become
+ * 1-element vectors), then every cell is padded to the largest extent along
+ * each axis, so the result has rank 1 + the highest cell rank.
  * Returns nested array with _shape property
  */
-function rowsToMatrix(rows) {
+function rowsToMatrix(rows, charScalars = false) {
+  const { shape, ravel } = mixCells(rows, charScalars);
+  const result = rows.length === 0 ? [] : rebuildNested(ravel, shape);
+  result._shape = shape;
+  return result;
+}
+
+/**
+ * Combine major cells into a single shape and ravel (APL mix, ↑)
+ * With charScalars, strings are split into Char items
+ */
+function mixCells(rows, charScalars = false) {
   if (rows.length === 0) {
-    const result = [];
-    result._shape = [0];
-    return result;
+    return { shape: [0], ravel: [] };
   }
 
-  // Determine the shape of each row
-  const rowShapes = rows.map(r => getShape(r));
-
-  // Find max shape (for padding)
-  // In APLAN brackets, scalars are treated as 1-element vectors
-  const maxRank = Math.max(...rowShapes.map(s => s.length === 0 ? 1 : s.length));
-  const maxShape = [];
-  for (let i = 0; i < maxRank; i++) {
-    maxShape.push(Math.max(...rowShapes.map(s => {
-      if (s.length === 0) return 1; // Scalar -> 1-element
-      return s[i] || 1;
-    })));
+  if (charScalars) {
+    rows = rows.map(r => typeof r === 'string' ? Array.from(r, c => new Char(c)) : r);
   }
 
-  // Build nested array structure
-  const cellSize = maxShape.reduce((a, b) => a * b, 1);
-  const result = [];
+  // Loops rather than Math.max(...spread), which overflows the stack on large inputs
+  const shapes = rows.map(r => getShape(r));
+  let cellRank = 1;
+  for (const s of shapes) cellRank = Math.max(cellRank, s.length);
+  const extended = shapes.map(s => s.length === cellRank ? s : [...new Array(cellRank - s.length).fill(1), ...s]);
 
-  for (const row of rows) {
-    const flat = flatten(row);
-    // Pad with zeros if needed
-    while (flat.length < cellSize) {
-      flat.push(0);
-    }
-    // If row shape is 1D, keep as flat array; otherwise nest
-    if (maxShape.length === 1) {
-      result.push(flat);
-    } else {
-      result.push(rebuildNested(flat, maxShape));
+  const cellShape = new Array(cellRank).fill(0);
+  for (const s of extended) {
+    for (let axis = 0; axis < cellRank; axis++) {
+      cellShape[axis] = Math.max(cellShape[axis], s[axis]);
+    }
+  }
+
+  // Each cell is padded with its own prototype, as Dyalog's mix (↑) does
+  const cellSize = cellShape.reduce((a, b) => a * b, 1);
+  const ravel = new Array(rows.length * cellSize);
+  rows.forEach((row, i) => {
+    const items = flatten(row);
+    const cell = items.length === cellSize ? items : padRavel(items, extended[i], cellShape, prototype(row));
+    for (let j = 0; j < cellSize; j++) {
+      ravel[i * cellSize + j] = cell[j];
+    }
+  });
+
+  return { shape: [rows.length, ...cellShape], ravel };
+}
+
+/**
+ * Typed-array copy of an all-numeric ravel: Int32Array when every item is a
+ * 32-bit integer, Float64Array otherwise; undefined if any item isn't a number
+ */
+function typedRavel(ravel) {
+  if (ravel.length === 0) return undefined;
+  let integers = true;
+  for (let i = 0; i < ravel.length; i++) {
+    const n = ravel[i];
+    if (typeof n !== 'number') return undefined;
+    if (integers && !((n | 0) === n)) integers = false;
+  }
+  return integers ? new Int32Array(ravel) : new Float64Array(ravel);
+}
+
+/**
+ * Place a ravel of the given shape into a larger shape (same rank), filling the rest
+ */
+function padRavel(ravel, shape, target, fill) {
+  const size = target.reduce((a, b) => a * b, 1);
+
+  // Structured fills are rebuilt per slot so padded cells don't share objects
+  const result = typeof fill === 'object' && fill !== null
+    ? Array.from({ length: size }, () => typify(fill))
+    : new Array(size).fill(fill);
+  const index = new Array(shape.length).fill(0);
+
+  for (let i = 0; i < ravel.length; i++) {
+    let offset = 0;
+    for (let axis = 0; axis < shape.length; axis++) {
+      offset = offset * target[axis] + index[axis];
+    }
+    result[offset] = ravel[i];
+
+    // Odometer increment over the source shape
+    for (let axis = shape.length - 1; axis >= 0; axis--) {
+      if (++index[axis] < shape[axis]) break;
+      index[axis] = 0;
     }
   }
 
-  result._shape = [rows.length, ...maxShape];
   return result;
 }
 
+/**
+ * Prototype of a value: the fill element used when padding it
+ * Derived from the first item (APL's ⊃), or from the type of an empty array:
+ * ' ' for character vectors, 0 otherwise
+ */
+function prototype(value) {
+  const items = flatten(value);
+  if (items.length === 0) {
+    return typeof value === 'string' ? ' ' : 0;
+  }
+  return typify(items[0]);
+}
+
+/**
+ * Replace every number with 0 and every character with ' ', keeping structure
+ * Namespaces have no typical element and become null
+ */
+function typify(value) {
+  if (typeof value === 'number') return 0;
+  if (typeof value === 'bigint') return 0n;
+  if (value instanceof Decimal) return new Decimal('0');
+  if (value instanceof Char) return new Char(' ');
+  if (value instanceof Enclosed) return new Enclosed(typify(value.value));
+  if (typeof value === 'string') return ' '.repeat(value.length);
+  if (value instanceof Complex) return 0;
+  if (value instanceof APLArray) return value.map(typify);
+  if (Array.isArray(value)) {
+    if (value === zilde || value._isZilde) return zilde;
+    if (value._shape) {
+      const result = rebuildNested(flatten(value).map(typify), value._shape);
+      result._shape = value._shape;
+      return result;
+    }
+    return value.map(typify);
+  }
+  return null;
+}
+
 /**
  * Rebuild a flat array into nested structure based on shape
  */
@@ -577,38 +1261,377 @@ function rebuildNested(flat, shape) {
 
 /**
  * Get the shape of a value
+ * Strings are character vectors, except single characters which are scalars
  */
 function getShape(value) {
   if (value === null || value === undefined) return [];
-  if (typeof value === 'number' || typeof value === 'string') return [];
-  if (typeof value === 'object' && value.re !== undefined) return []; // Complex
+  if (isNumeric(value)) return [];
+  if (typeof value === 'string') {
+    const length = Array.from(value).length;
+    return length === 1 ? [] : [length];
+  }
+  if (value instanceof APLArray) return value.shape;
   if (Array.isArray(value)) {
     if (value._shape) return value._shape;
-    if (value.length === 0) return [0];
-    // Check if all elements have same shape (for nested arrays)
     return [value.length];
   }
   return [];
 }
 
 /**
- * Flatten a value to a 1D array
+ * Shape (APL ⍴) of any APLAN value: [] for scalars, including numbers, Char,
+ * Complex, Enclosed and namespaces; [n] for vectors, strings and zilde
+ * ([0]); _shape or APLArray shape for higher ranks.
+ * A one-character string is a scalar, or a vector with { charScalars: true }.
+ */
+function shape(value, options = {}) {
+  if (options.charScalars && typeof value === 'string') return [Array.from(value).length];
+  return getShape(value);
+}
+
+/**
+ * Rank (APL ≢⍴): number of axes
+ */
+function rank(value, options = {}) {
+  return shape(value, options).length;
+}
+
+/**
+ * Tally (APL ≢): length of the first axis, 1 for scalars
+ */
+function tally(value, options = {}) {
+  return shape(value, options)[0] ?? 1;
+}
+
+/**
+ * Depth (APL ≡): 0 for simple scalars, 1 for arrays of simple scalars, one
+ * more for each level of nesting (⊂ included). Negative when items differ in
+ * depth, as in Dyalog: ≡1 (2 3) is ¯2.
+ */
+function depth(value, options = {}) {
+  if (value instanceof Enclosed) {
+    const inner = depth(value.value, options);
+    return inner < 0 ? inner - 1 : inner + 1;
+  }
+  if (rank(value, options) === 0) return 0;
+  if (typeof value === 'string') return 1;
+  if (value instanceof APLArray && ArrayBuffer.isView(value.ravel)) return 1;
+
+  const items = flatten(value);
+  let max = 0;
+  let uniform = true;
+  for (let i = 0; i < items.length; i++) {
+    const d = depth(items[i], options);
+    if (d < 0 || (i > 0 && d !== max)) uniform = false;
+    max = Math.max(max, Math.abs(d));
+  }
+  return uniform ? max + 1 : -(max + 1);
+}
+
+/**
+ * Simple (no nested items): a scalar other than ⊂, or an array of such
+ */
+function isSimple(value, options = {}) {
+  return Math.abs(depth(value, options)) <= 1;
+}
+
+/**
+ * Scalar: rank 0
+ */
+function isScalar(value, options = {}) {
+  return rank(value, options) === 0;
+}
+
+/**
+ * Flatten a value to its ravel: the items of its shape in row-major order
+ * Items that are themselves arrays are kept whole (not flattened further)
  */
 function flatten(value) {
-  if (value === null || value === undefined) return [0];
-  if (typeof value === 'number') return [value];
-  if (typeof value === 'string') return [value];
-  if (typeof value === 'object' && value.re !== undefined) return [value];
+  if (typeof value === 'string') {
+    const chars = Array.from(value);
+    return chars.length === 1 ? [value] : chars;
+  }
+  if (value instanceof APLArray) return toArray(value.ravel);
   if (Array.isArray(value)) {
-    const result = [];
-    for (const el of value) {
-      result.push(...flatten(el));
-    }
-    return result;
+    if (value._shape) return value.flat(Math.max(0, value._shape.length - 1));
+    return [...value];
   }
   return [value];
 }
 
+/**
+ * Copy a ravel (plain or typed array) to a plain array
+ * (a plain loop is much faster than Array.from for small typed arrays)
+ */
+function toArray(ravel) {
+  const result = new Array(ravel.length);
+  for (let i = 0; i < ravel.length; i++) {
+    result[i] = ravel[i];
+  }
+  return result;
+}
+
+/**
+ * Value with the given shape and ravel, in the representation of like:
+ * APLArray if like is one, else scalar, vector or nested arrays with _shape
+ */
+function shaped(shape, ravel, like) {
+  if (like instanceof APLArray) {
+    return new APLArray(shape, (ArrayBuffer.isView(like.ravel) && typedRavel(ravel)) || ravel);
+  }
+  if (shape.length === 0) return ravel[0];
+  if (shape.length === 1) return plainVector(ravel, typeof like === 'string');
+  const result = shape[0] === 0 ? [] : rebuildNested(ravel, shape);
+  result._shape = shape;
+  return result;
+}
+
+/**
+ * Plain vector of items, joined into a string if they are all character
+ * scalars, as the parser writes 'a' 'b' (empty: a string only if chars is set)
+ */
+function plainVector(items, chars = false) {
+  if (items.length === 0) return chars ? '' : items;
+  const isChar = el => el instanceof Char || (typeof el === 'string' && Array.from(el).length === 1);
+  if (items.length === 1 || !items.every(isChar)) return items;
+  return items.map(el => (el instanceof Char ? el.value : el)).join('');
+}
+
+/**
+ * Ravel of an array built item by item from each index tuple
+ */
+function buildRavel(shape, fn) {
+  const size = shape.reduce((a, b) => a * b, 1);
+  const ravel = new Array(size);
+  for (let i = 0; i < size; i++) {
+    ravel[i] = fn(unravelIndex(i, shape));
+  }
+  return ravel;
+}
+
+/**
+ * Ravel offset of an index tuple
+ */
+function ravelOffset(tuple, shape) {
+  return tuple.reduce((offset, i, axis) => offset * shape[axis] + i, 0);
+}
+
+/**
+ * Shape as an array of non-negative integers
+ */
+function toShape(shape, name) {
+  const result = [shape].flat();
+  if (!result.every(n => Number.isInteger(n) && n >= 0)) {
+    throw new Error(`Domain error: ${name} must be non-negative integers, got ${JSON.stringify(shape)}`);
+  }
+  return result;
+}
+
+/**
+ * Reshape (APL ⍴): items of value in ravel order, repeated to fill the shape;
+ * an empty value fills with its prototype
+ */
+function reshape(shape, value) {
+  const target = toShape(shape, 'shape');
+  const items = flatten(value);
+  const fill = items.length === 0 ? prototype(value) : undefined;
+  const size = target.reduce((a, b) => a * b, 1);
+  const ravel = Array.from({ length: size }, (_, i) => (items.length ? items[i % items.length] : fill));
+  return shaped(target, ravel, value);
+}
+
+/**
+ * Ravel (APL ,): all items as a vector
+ */
+function ravel(value) {
+  const items = flatten(value);
+  return shaped([items.length], items, value);
+}
+
+/**
+ * Transpose (APL monadic ⍉): reverse the axes; vectors and scalars are unchanged
+ */
+function transpose(value) {
+  const shape = getShape(value);
+  if (shape.length < 2) return value;
+  const items = flatten(value);
+  const target = [...shape].reverse();
+  return shaped(target, buildRavel(target, tuple => items[ravelOffset([...tuple].reverse(), shape)]), value);
+}
+
+/**
+ * Shape and ravel of value for take/drop, treating a scalar as having as many
+ * unit axes as there are counts
+ */
+function leadingAxes(counts, value, name) {
+  let shape = getShape(value);
+  if (shape.length === 0) shape = counts.map(() => 1);
+  if (counts.length > shape.length) {
+    throw new Error(`Rank error: ${name} has ${counts.length} counts for a rank ${shape.length} array`);
+  }
+  if (!counts.every(Number.isInteger)) {
+    throw new Error(`Domain error: ${name} counts must be integers, got ${JSON.stringify(counts)}`);
+  }
+  return { shape, items: flatten(value) };
+}
+
+/**
+ * Take (APL ↑): the first n items along each leading axis (last n when
+ * negative), padding with the prototype when taking more than there are
+ */
+function take(n, value) {
+  const counts = [n].flat();
+  const { shape, items } = leadingAxes(counts, value, 'take');
+  const target = shape.map((size, axis) => (axis < counts.length ? Math.abs(counts[axis]) : size));
+  const start = shape.map((size, axis) => (counts[axis] < 0 ? size + counts[axis] : 0));
+  const fill = prototype(value);
+  const ravel = buildRavel(target, tuple => {
+    const source = tuple.map((i, axis) => i + start[axis]);
+    if (source.some((i, axis) => i < 0 || i >= shape[axis])) {
+      return typeof fill === 'object' && fill !== null ? typify(fill) : fill;
+    }
+    return items[ravelOffset(source, shape)];
+  });
+  return shaped(target, ravel, value);
+}
+
+/**
+ * Drop (APL ↓): all but the first n items along each leading axis (last n
+ * when negative)
+ */
+function drop(n, value) {
+  const counts = [n].flat();
+  const { shape, items } = leadingAxes(counts, value, 'drop');
+  const target = shape.map((size, axis) => (axis < counts.length ? Math.max(0, size - Math.abs(counts[axis])) : size));
+  const start = shape.map((_, axis) => (counts[axis] > 0 ? counts[axis] : 0));
+  const ravel = buildRavel(target, tuple => items[ravelOffset(tuple.map((i, axis) => i + start[axis]), shape)]);
+  return shaped(target, ravel, value);
+}
+
+/**
+ * Representation for a result built from two arguments
+ */
+function dyadicLike(a, b) {
+  if (a instanceof APLArray) return a;
+  if (b instanceof APLArray) return b;
+  return typeof a === 'string' && typeof b === 'string' ? a : null;
+}
+
+/**
+ * Catenate (APL , and ⍪): join along an existing axis, the last by default.
+ * An argument of one rank less gets a unit axis there; a scalar is extended.
+ */
+function catenate(a, b, axis) {
+  let sa = getShape(a);
+  let sb = getShape(b);
+  const rank = Math.max(sa.length, sb.length, 1);
+  axis = axis ?? rank - 1;
+  if (!Number.isInteger(axis) || axis < 0 || axis >= rank) {
+    throw new Error(`Axis error: axis ${axis} for rank ${rank}`);
+  }
+  let ia = flatten(a);
+  let ib = flatten(b);
+
+  // Scalars take the other's shape with a unit catenation axis
+  const unitShape = (shape) => shape.map((n, i) => (i === axis ? 1 : n));
+  const withAxis = (shape) => [...shape.slice(0, axis), 1, ...shape.slice(axis)];
+  if (sa.length === 0) {
+    sa = sb.length === 0 ? [1] : unitShape(sb);
+    ia = new Array(sa.reduce((x, y) => x * y, 1)).fill(ia[0]);
+  }
+  if (sb.length === 0) {
+    sb = unitShape(sa);
+    ib = new Array(sb.reduce((x, y) => x * y, 1)).fill(ib[0]);
+  }
+  if (sa.length === sb.length - 1) sa = withAxis(sa);
+  if (sb.length === sa.length - 1) sb = withAxis(sb);
+  if (sa.length !== sb.length) {
+    throw new Error(`Rank error: cannot catenate rank ${sa.length} and rank ${sb.length}`);
+  }
+  if (sa.some((n, i) => i !== axis && n !== sb[i])) {
+    throw new Error(`Length error: cannot catenate shapes ${sa.join(' ')} and ${sb.join(' ')} along axis ${axis}`);
+  }
+
+  const target = sa.map((n, i) => (i === axis ? n + sb[i] : n));
+  const ravel = buildRavel(target, tuple => {
+    if (tuple[axis] < sa[axis]) return ia[ravelOffset(tuple, sa)];
+    return ib[ravelOffset(tuple.map((n, i) => (i === axis ? n - sa[axis] : n)), sb)];
+  });
+  return shaped(target, ravel, dyadicLike(a, b));
+}
+
+/**
+ * Laminate (APL ,[0.5] and friends): join two equally shaped arrays along a
+ * new axis of length 2, the first by default; a scalar is extended
+ */
+function laminate(a, b, axis = 0) {
+  let sa = getShape(a);
+  let sb = getShape(b);
+  let ia = flatten(a);
+  let ib = flatten(b);
+  if (sa.length === 0) {
+    sa = sb;
+    ia = new Array(sb.reduce((x, y) => x * y, 1)).fill(ia[0]);
+  }
+  if (sb.length === 0) {
+    sb = sa;
+    ib = new Array(sa.reduce((x, y) => x * y, 1)).fill(ib[0]);
+  }
+  if (!equal(sa, sb)) {
+    throw new Error(`Length error: cannot laminate shapes ${sa.join(' ')} and ${sb.join(' ')}`);
+  }
+  if (!Number.isInteger(axis) || axis < 0 || axis > sa.length) {
+    throw new Error(`Axis error: axis ${axis} for rank ${sa.length}`);
+  }
+
+  const target = [...sa.slice(0, axis), 2, ...sa.slice(axis)];
+  const ravel = buildRavel(target, tuple => {
+    const source = [...tuple.slice(0, axis), ...tuple.slice(axis + 1)];
+    return (tuple[axis] === 0 ? ia : ib)[ravelOffset(source, sa)];
+  });
+  return shaped(target, ravel, dyadicLike(a, b));
+}
+
+/**
+ * Check for a number: float, BigInt, Decimal or Complex
+ */
+function isNumeric(value) {
+  return typeof value === 'number' || typeof value === 'bigint' || value instanceof Decimal || value instanceof Complex;
+}
+
+/**
+ * Check whether a value serializes as a bare numeric strand (1 2 3)
+ */
+function isNumericStrand(value) {
+  return Array.isArray(value) && !value._shape && value.length > 1 && value.every(isNumeric);
+}
+
+/**
+ * Format a finite float with pp significant digits (shortest round-trip when
+ * pp is undefined), in E notation when exponential is 'always', or for 'auto'
+ * when the exponent is at least pp (17 for round-trip) or below ¯5, like ⎕PP.
+ * Safe integers are written in full, as APL does for integer data.
+ */
+function formatReal(n, pp, exponential) {
+  if (Number.isSafeInteger(n) && exponential !== 'always') {
+    return String(n).replace('-', HIGH_MINUS);
+  }
+  const [mantissa, exp] = (pp === undefined ? n.toExponential() : n.toExponential(pp - 1)).split('e');
+  const e = Number(exp);
+  const digits = mantissa.replace('-', '').replace('.', '').replace(/0+$/, '') || '0';
+  const sign = n < 0 ? HIGH_MINUS : '';
+
+  const scientific = exponential === 'always' ||
+    (exponential === 'auto' && (e >= (pp ?? 17) || e < -5));
+  if (scientific) {
+    const m = digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits;
+    return `${sign}${m}E${String(e).replace('-', HIGH_MINUS)}`;
+  }
+  if (e < 0) return `${sign}0.${'0'.repeat(-e - 1)}${digits}`;
+  if (digits.length <= e + 1) return sign + digits + '0'.repeat(e + 1 - digits.length);
+  return `${sign}${digits.slice(0, e + 1)}.${digits.slice(e + 1)}`;
+}
+
 /**
  * Serializer - converts JavaScript values to APLAN
  */
@@ -616,11 +1639,30 @@ class Serializer {
   constructor(options = {}) {
     this.indent = options.indent ?? 1;
     this.useDiamond = options.useDiamond ?? false;
+    this.charScalars = options.charScalars ?? false;
+    this.pp = options.pp;
+    this.exponential = options.exponential ?? 'auto';
+    this.names = options.names ?? 'error';
+    this.null = options.null ?? 'NULL';
+
+    if (this.pp !== undefined && !(Number.isInteger(this.pp) && this.pp >= 1 && this.pp <= 17)) {
+      throw new Error(`pp must be an integer from 1 to 17, got ${this.pp}`);
+    }
+    if (!['auto', 'never', 'always'].includes(this.exponential)) {
+      throw new Error(`exponential must be 'auto', 'never' or 'always', got ${JSON.stringify(this.exponential)}`);
+    }
+    if (!['error', 'skip', 'mangle'].includes(this.names)) {
+      throw new Error(`names must be 'error', 'skip' or 'mangle', got ${JSON.stringify(this.names)}`);
+    }
+    if (!['NULL', 'zilde', 'error'].includes(this.null)) {
+      throw new Error(`null must be 'NULL', 'zilde' or 'error', got ${JSON.stringify(this.null)}`);
+    }
   }
 
   serialize(value, depth = 0) {
+    // undefined too, as JSON.stringify writes null for it in arrays
     if (value === null || value === undefined) {
-      return '⍬';
+      return this.serializeNull();
     }
 
     // Zilde sentinel (check both identity and property)
@@ -628,18 +1670,27 @@ class Serializer {
       return '⍬';
     }
 
-    // Complex number
-    if (typeof value === 'object' && value.re !== undefined && value.im !== undefined) {
-      return this.serializeComplex(value);
+    // Number, including Complex
+    if (isNumeric(value)) {
+      return this.serializeNumber(value);
     }
 
-    // Number
-    if (typeof value === 'number') {
-      return this.serializeNumber(value);
+    // Character scalar
+    if (value instanceof Char) {
+      return this.serializeString(value.value);
+    }
+
+    // Nested scalar
+    if (value instanceof Enclosed) {
+      return this.serializeEnclosed(value, depth);
     }
 
     // String
     if (typeof value === 'string') {
+      // With charScalars a one-character string is a vector, not a scalar
+      if (this.charScalars && Array.from(value).length === 1) {
+        return this.serializeVector([new Char(value)], depth);
+      }
       return this.serializeString(value);
     }
 
@@ -648,6 +1699,11 @@ class Serializer {
       return this.serializeMatrix(value, depth);
     }
 
+    // Shape + ravel array
+    if (value instanceof APLArray) {
+      return this.serializeAPLArray(value, depth);
+    }
+
     // Namespace
     if (value[_ns]) {
       return this.serializeNamespace(value, depth);
@@ -669,23 +1725,29 @@ class Serializer {
   }
 
   serializeNumber(n) {
+    if (typeof n === 'bigint') return String(n).replace('-', HIGH_MINUS);
+    if (n instanceof Decimal) return n.text;
+    if (n instanceof Complex) return this.serializeComplex(n);
     if (Object.is(n, -0)) return '0';
     if (!Number.isFinite(n)) {
       throw new Error(`Cannot serialize non-finite number: ${n}`);
     }
 
-    let str = String(n);
-    // Replace - with high minus
-    str = str.replace(/-/g, HIGH_MINUS);
-    // Replace lowercase e with E
-    str = str.replace(/e/g, 'E');
-    return str;
+    return formatReal(n, this.pp, this.exponential);
   }
 
   serializeComplex(c) {
     const re = this.serializeNumber(c.re);
-    const im = this.serializeNumber(c.im);
-    return `${re}J${im.replace(HIGH_MINUS, HIGH_MINUS)}`;
+    if (c.im === 0) return re;
+    return `${re}J${this.serializeNumber(c.im)}`;
+  }
+
+  serializeEnclosed(e, depth) {
+    const inner = enclose(e.value, { charScalars: this.charScalars });
+    if (!(inner instanceof Enclosed)) {
+      return this.serialize(inner, depth);
+    }
+    return ENCLOSE + this.serialize(inner.value, depth);
   }
 
   serializeString(s) {
@@ -700,16 +1762,23 @@ class Serializer {
     }
 
     // Check if all elements are numbers (use strand notation)
-    if (arr.every(el => typeof el === 'number')) {
+    if (isNumericStrand(arr)) {
       return arr.map(n => this.serializeNumber(n)).join(' ');
     }
 
+    // Character scalars as a string
+    if (arr.length > 1 && arr.every(el => el instanceof Char)) {
+      return this.serializeString(arr.join(''));
+    }
+
     // Use parentheses with separators
     const sep = this.getSeparator(depth);
     const items = arr.map(el => this.serialize(el, depth + 1));
 
     if (this.useDiamond || items.some(i => i.includes('\n'))) {
-      return '(' + items.join(` ${DIAMOND} `) + ')';
+      // A lone item needs a separator, or the parentheses are just grouping
+      const trailing = items.length === 1 ? ` ${DIAMOND}` : '';
+      return '(' + items.join(` ${DIAMOND} `) + trailing + ')';
     }
 
     const indent = ' '.repeat(this.indent);
@@ -717,35 +1786,108 @@ class Serializer {
   }
 
   serializeMatrix(m, depth) {
-    const shape = m._shape;
+    return this.serializeArray(m._shape, flatten(m), depth);
+  }
+
+  serializeAPLArray(a, depth) {
+    if (a.rank === 0) {
+      return this.serialize(a.ravel[0], depth);
+    }
+    if (a.rank === 1) {
+      return this.serializeVector(Array.from(a.ravel), depth);
+    }
+    return this.serializeArray(a.shape, a.ravel, depth);
+  }
 
+  /**
+   * Serialize an array of rank 2 or more from its shape and ravel
+   */
+  serializeArray(shape, ravel, depth) {
     if (shape.length === 0 || shape[0] === 0) {
       return '[]';
     }
 
+    const cellShape = shape.slice(1);
+    const cellSize = cellShape.reduce((a, b) => a * b, 1);
     const rows = [];
 
-    for (let i = 0; i < m.length; i++) {
-      const rowData = flatten(m[i]);
-
-      // If row is simple numbers, format as strand
-      if (rowData.every(el => typeof el === 'number')) {
-        rows.push(rowData.map(n => this.serializeNumber(n)).join(' '));
+    for (let i = 0; i < shape[0]; i++) {
+      const cell = ravel.slice(i * cellSize, (i + 1) * cellSize);
+      if (shape.length > 2) {
+        // Higher rank: each major cell is itself bracketed
+        rows.push(this.serializeArray(cellShape, cell, depth + 1));
       } else {
-        rows.push(rowData.map(el => this.serialize(el, depth + 1)).join(' '));
+        rows.push(this.serializeRow(cell, depth));
       }
     }
 
     if (this.useDiamond) {
-      return '[' + rows.join(` ${DIAMOND} `) + ']';
+      // A lone row needs a separator, or its items would each become a row
+      const trailing = rows.length === 1 ? ` ${DIAMOND}` : '';
+      return '[' + rows.join(` ${DIAMOND} `) + trailing + ']';
     }
 
     const indent = ' '.repeat(this.indent);
     return '[\n' + rows.map(r => indent + r).join('\n') + '\n]';
   }
 
+  /**
+   * Serialize the items of a matrix row as a strand
+   */
+  serializeRow(items, depth) {
+    // Simple numbers as a plain strand (items may be a typed array)
+    if (items.every(isNumeric)) {
+      return Array.from(items, n => this.serializeNumber(n)).join(' ');
+    }
+
+    // Characters as a string
+    if (items.length > 1 && items.every(el => this.isCharScalar(el))) {
+      return this.serializeString(items.join(''));
+    }
+
+    const serialized = items.map(el => {
+      const s = this.serialize(el, depth + 1);
+      // Nested numeric vectors serialize as bare strands, and ⊂ takes everything
+      // to its right; keep them as one item
+      const strand = isNumericStrand(el) || (el instanceof APLArray && el.rank === 1 && isNumericStrand(Array.from(el.ravel)));
+      return strand || (el instanceof Enclosed && s.startsWith(ENCLOSE)) ? `(${s})` : s;
+    });
+
+    // A single non-simple item would be taken as the whole row
+    if (serialized.length === 1 && !this.isScalar(items[0])) {
+      return `(${serialized[0]} ${DIAMOND})`;
+    }
+
+    return serialized.join(' ');
+  }
+
+  isCharScalar(value) {
+    return value instanceof Char || (!this.charScalars && typeof value === 'string' && value.length === 1);
+  }
+
+  isScalar(value) {
+    if (typeof value === 'string') return this.isCharScalar(value);
+    return getShape(value).length === 0;
+  }
+
+  serializeNull() {
+    if (this.null === 'zilde') return '⍬';
+    if (this.null === 'error') {
+      throw new Error("Cannot serialize null (use the null option to write ⎕NULL or ⍬)");
+    }
+    return '⎕NULL';
+  }
+
   serializeNamespace(ns, depth) {
-    const entries = Object.entries(ns);
+    // Members set to undefined are left out, as JSON.stringify does
+    const entries = Object.entries(ns).flatMap(([k, v]) => {
+      if (v === undefined) return [];
+      // Valid names are mangled too, in case they contain ⍙ escapes
+      if (this.names === 'mangle') return [[mangleName(k), v]];
+      if (isValidName(k)) return [[k, v]];
+      if (this.names === 'skip') return [];
+      throw new Error(`Invalid APL name: ${JSON.stringify(k)} (use the names option to skip or mangle it)`);
+    });
 
     if (entries.length === 0) {
       return '()';
@@ -768,131 +1910,1216 @@ class Serializer {
 
 /**
  * Get element from array by index
- * Works with nested arrays and matrix objects
- * @param {any} value - Array or matrix to index into
- * @param {number|number[]} index - Single index or array of indices
+ * Works with nested arrays, matrix objects and namespaces (by member name);
+ * nested scalars (Enclosed) are disclosed when indexed into, like APL's pick.
+ * Arrays take one index per axis; negative indices count from the end, and
+ * null takes the whole axis, returning that row, column or slice (m[;2]).
+ * @param {any} value - Array, matrix or namespace to index into
+ * @param {number|string|null|Array} index - Single index or array of indices
+ * @param {{io?: 0|1}} [options] - io: index origin, like ⎕IO (default 0)
  * @returns {any} The element at the given index
  */
-function get(value, index) {
+function get(value, index, options = {}) {
+  const io = options.io ?? 0;
+  if (io !== 0 && io !== 1) {
+    throw new Error(`Index origin must be 0 or 1, got ${io}`);
+  }
+
   // Normalize index to array
   const indices = Array.isArray(index) ? index : [index];
+  let current = value;
+  let i = 0;
 
-  // Handle zilde
-  if (value === zilde) {
-    throw new Error('Cannot index into zilde (empty array)');
-  }
+  while (i < indices.length) {
+    if (current instanceof Enclosed) {
+      current = current.value;
+      continue;
+    }
 
-  // Handle matrix objects (arrays with _shape) - just use nested indexing
-  if (Array.isArray(value) && value._shape) {
-    const shape = value._shape;
+    // Handle zilde
+    if (current === zilde) {
+      throw new Error('Cannot index into zilde (empty array)');
+    }
 
-    if (indices.length !== shape.length) {
-      throw new Error(`Index rank ${indices.length} does not match array rank ${shape.length}`);
+    const kind = containerKind(current);
+    if (kind === null) {
+      throw new Error(i === 0
+        ? `Cannot index into value of type ${typeof current}`
+        : `Cannot index deeper: reached non-array at depth ${i}`);
     }
 
-    // Just traverse the nested array
-    let current = value;
-    for (let i = 0; i < indices.length; i++) {
-      if (indices[i] < 0 || indices[i] >= shape[i]) {
-        throw new Error(`Index ${indices[i]} out of bounds for dimension ${i} with size ${shape[i]}`);
+    // Namespaces take a member name
+    if (kind === 'namespace') {
+      const name = indices[i];
+      if (typeof name !== 'string') {
+        throw new Error(`Expected a member name for namespace, got ${JSON.stringify(name)}`);
       }
-      current = current[indices[i]];
+      if (!Object.hasOwn(current, name)) {
+        throw new Error(`No member ${name}`);
+      }
+      current = current[name];
+      i++;
+      continue;
     }
 
-    return current;
-  }
-
-  // Handle nested arrays
-  if (Array.isArray(value)) {
-    let current = value;
-    for (let i = 0; i < indices.length; i++) {
-      if (!Array.isArray(current)) {
-        throw new Error(`Cannot index deeper: reached non-array at depth ${i}`);
+    // Arrays take one index per axis; any further indices go into the item
+    const shape = kind === 'array' ? current.shape : kind === 'matrix' ? current._shape : [current.length];
+    if (indices.length - i < shape.length) {
+      throw new Error(`Index rank ${indices.length - i} does not match array rank ${shape.length}`);
+    }
+    const tuple = shape.map((size, axis) => {
+      const n = indices[i + axis];
+      if (n === null) return null;
+      if (typeof n !== 'number') {
+        throw new Error(`Expected an index, got ${JSON.stringify(n)}`);
+      }
+      const k = n < 0 ? n + size : n - io;
+      if (!Number.isInteger(k) || k < 0 || k >= size) {
+        throw new Error(kind === 'vector'
+          ? `Index ${n} out of bounds for array of length ${size}`
+          : `Index ${n} out of bounds for dimension ${axis} with size ${size}`);
       }
-      if (indices[i] < 0 || indices[i] >= current.length) {
-        throw new Error(`Index ${indices[i]} out of bounds for array of length ${current.length}`);
+      return k;
+    });
+    i += shape.length;
+
+    if (tuple.includes(null)) {
+      if (i < indices.length) {
+        throw new Error('Cannot index past an elided axis');
       }
-      current = current[indices[i]];
+      return selectCells(current, kind, shape, tuple);
     }
-    return current;
+    current = cellAt(current, kind, shape, tuple);
   }
 
-  throw new Error(`Cannot index into value of type ${typeof value}`);
+  return current;
 }
 
 /**
- * Parse APLAN string to JavaScript value
+ * Item of a vector, matrix or APLArray at an index tuple
  */
-function parse(source) {
-  const tokenizer = new Tokenizer(source);
-  const tokens = tokenizer.tokenize();
-  const parser = new Parser(tokens);
-  return parser.parse();
+function cellAt(value, kind, shape, tuple) {
+  if (kind === 'array') {
+    return value.ravel[tuple.reduce((offset, i, axis) => offset * shape[axis] + i, 0)];
+  }
+  return tuple.reduce((row, i) => row[i], value);
 }
 
 /**
- * Serialize JavaScript value to APLAN string
+ * Index tuples picked by an index with null for whole axes; indices out of
+ * range pick nothing
  */
-function serialize(value, options = {}) {
-  const serializer = new Serializer(options);
-  return serializer.serialize(value);
+function indexTuples(shape, index) {
+  let tuples = [[]];
+  index.forEach((i, axis) => {
+    const range = i === null
+      ? Array.from({ length: shape[axis] }, (_, n) => n)
+      : Number.isInteger(i) && i >= 0 && i < shape[axis] ? [i] : [];
+    tuples = tuples.flatMap(tuple => range.map(n => [...tuple, n]));
+  });
+  return tuples;
 }
 
 /**
- * Check if two values are equal (for round-trip testing)
+ * Cross-section of an array along its null axes, in the same representation
  */
-function equal(a, b) {
-  if (a === b) return true;
+function selectCells(value, kind, shape, index) {
+  const items = indexTuples(shape, index).map(tuple => cellAt(value, kind, shape, tuple));
+  const resultShape = shape.filter((_, axis) => index[axis] === null);
+  if (kind === 'array') {
+    const typed = ArrayBuffer.isView(value.ravel) && typedRavel(items);
+    return new APLArray(resultShape, typed || items);
+  }
+  if (resultShape.length === 1) return plainVector(items);
+  const result = rebuildNested(items, resultShape);
+  result._shape = resultShape;
+  return result;
+}
 
-  // Zilde equals empty array (check identity or _isZilde property)
-  const aIsZilde = a === zilde || (Array.isArray(a) && a._isZilde);
-  const bIsZilde = b === zilde || (Array.isArray(b) && b._isZilde);
-  if ((aIsZilde && Array.isArray(b) && b.length === 0) ||
-      (bIsZilde && Array.isArray(a) && a.length === 0)) {
-    return true;
+/**
+ * CSTParser - converts tokens to a concrete syntax tree
+ *
+ * Follows the same grammar as Parser, but returns nodes instead of values.
+ * Every node has a type and the [start, end) source offsets it spans:
+ * - Number, String: token value in `value`
+ * - Zilde, Null (⎕NULL), Name
+ * - Enclose: ⊂ applied to `item`
+ * - Strand: juxtaposed items in `items`
+ * - Vector: parenthesised items with separators in `items`
+ * - Group: parentheses around a single item (no separator) in `item`
+ * - Namespace: `members`, each a Member node with `name` and `value`
+ * - Matrix: bracketed major cells in `items`
+ */
+class CSTParser extends Parser {
+  node(type, start, end, props = {}) {
+    return { type, start, end, ...props };
   }
 
-  if (typeof a !== typeof b) return false;
+  parseValue() {
+    while (this.check(TokenType.SEPARATOR)) {
+      this.advance();
+    }
+
+    const token = this.peek();
+
+    if (this.isStrandItem()) {
+      return this.parseStrand();
+    }
+    if (token.type === TokenType.NAME || token.type === TokenType.SYSNAME) {
+      this.advance();
+      return this.node('Name', token.offset, token.end, { name: token.value });
+    }
 
-  if (typeof a === 'number') {
-    // Handle NaN
-    if (Number.isNaN(a) && Number.isNaN(b)) return true;
-    return a === b;
+    throw this.error(`Unexpected token: ${token.type}`, token);
   }
 
-  if (typeof a === 'object') {
-    if (a === null || b === null) return a === b;
+  parseItem() {
+    const token = this.peek();
 
-    // Complex numbers
-    if (a.re !== undefined && b.re !== undefined) {
-      return a.re === b.re && a.im === b.im;
+    if (token.type === TokenType.LPAREN) {
+      return this.parseParenthesized();
     }
-
-    // Arrays
-    if (Array.isArray(a) && Array.isArray(b)) {
-      if (a.length !== b.length) return false;
-      return a.every((el, i) => equal(el, b[i]));
+    if (token.type === TokenType.LBRACKET) {
+      return this.parseBracketed();
+    }
+    this.advance();
+    if (token.type === TokenType.ENCLOSE) {
+      if (!this.isStrandItem()) {
+        throw this.error('Expected array after ⊂', this.peek());
+      }
+      const item = this.parseStrand();
+      return this.node('Enclose', token.offset, item.end, { item });
     }
+    const type = { NUMBER: 'Number', STRING: 'String', ZILDE: 'Zilde', SYSNAME: 'Null' }[token.type];
+    const props = token.type === TokenType.NUMBER || token.type === TokenType.STRING ? { value: token.value } : {};
+    return this.node(type, token.offset, token.end, props);
+  }
 
-    // Matrices (arrays with _shape)
-    if (Array.isArray(a) && a._shape && Array.isArray(b) && b._shape) {
-      return equal(a._shape, b._shape) && equal([...a], [...b]);
+  parseStrand() {
+    const items = [];
+
+    while (this.isStrandItem()) {
+      this.checkEnclosePosition(items);
+      items.push(this.parseItem());
     }
 
-    // Objects/Namespaces
-    const keysA = Object.keys(a);
-    const keysB = Object.keys(b);
-    if (keysA.length !== keysB.length) return false;
-    return keysA.every(k => equal(a[k], b[k]));
+    if (items.length === 1) {
+      return items[0];
+    }
+    return this.node('Strand', items[0].start, items[items.length - 1].end, { items });
   }
 
-  return false;
+  parseParenthesized() {
+    const open = this.consume(TokenType.LPAREN, 'Expected (');
+
+    let hasLeadingSep = false;
+    while (this.check(TokenType.SEPARATOR)) {
+      this.advance();
+      hasLeadingSep = true;
+    }
+
+    if (this.check(TokenType.RPAREN)) {
+      const close = this.advance();
+      return this.node('Namespace', open.offset, close.end, { members: [] });
+    }
+
+    const isNamespace = this.checkMember();
+
+    if (isNamespace) {
+      return this.parseNamespace(open);
+    } else {
+      return this.parseVector(hasLeadingSep, open);
+    }
+  }
+
+  parseNamespace(open) {
+    const members = [];
+
+    while (!this.check(TokenType.RPAREN) && !this.check(TokenType.EOF)) {
+      while (this.check(TokenType.SEPARATOR)) {
+        this.advance();
+      }
+      if (this.check(TokenType.RPAREN)) break;
+
+      const nameToken = this.consumeMemberName();
+      this.consume(TokenType.COLON, 'Expected : after name');
+      const value = this.parseValue();
+
+      members.push(this.node('Member', nameToken.offset, value.end, { name: nameToken.value, value }));
+
+      while (this.check(TokenType.SEPARATOR)) {
+        this.advance();
+      }
+    }
+
+    const close = this.consume(TokenType.RPAREN, 'Expected )');
+    return this.node('Namespace', open.offset, close.end, { members });
+  }
+
+  parseVector(hasLeadingSep, open) {
+    const items = [];
+    let hasSeparator = hasLeadingSep;
+
+    while (!this.check(TokenType.RPAREN) && !this.check(TokenType.EOF)) {
+      items.push(this.parseValue());
+
+      if (this.check(TokenType.SEPARATOR)) {
+        hasSeparator = true;
+        while (this.check(TokenType.SEPARATOR)) {
+          this.advance();
+        }
+      }
+    }
+
+    const close = this.consume(TokenType.RPAREN, 'Expected )');
+
+    if (!hasSeparator && items.length === 1) {
+      return this.node('Group', open.offset, close.end, { item: items[0] });
+    }
+    return this.node('Vector', open.offset, close.end, { items });
+  }
+
+  parseBracketed() {
+    const open = this.consume(TokenType.LBRACKET, 'Expected [');
+
+    while (this.check(TokenType.SEPARATOR)) {
+      this.advance();
+    }
+
+    if (this.check(TokenType.RBRACKET)) {
+      throw this.error('Empty brackets [] are not valid APLAN', open);
+    }
+
+    const items = [];
+
+    while (!this.check(TokenType.RBRACKET) && !this.check(TokenType.EOF)) {
+      items.push(this.parseValue());
+
+      while (this.check(TokenType.SEPARATOR)) {
+        this.advance();
+      }
+    }
+
+    const close = this.consume(TokenType.RBRACKET, 'Expected ]');
+    return this.node('Matrix', open.offset, close.end, { items });
+  }
+}
+
+/**
+ * Lossless APLAN document for formatting-preserving edits
+ *
+ * Holds the source text, its full token stream (including whitespace and
+ * comments) and the CST. Edits splice new text over a single node's span and
+ * re-parse, so every byte outside the edited node is kept as written.
+ *
+ * Paths follow the source structure: member names for namespaces and
+ * 0-based child indices for vectors, strands and matrix cells. Grouping
+ * parentheses are transparent, and ⊂ is stepped through when descending.
+ */
+class CSTDocument {
+  constructor(source) {
+    this.load(source);
+  }
+
+  load(source) {
+    const tokens = new Tokenizer(source, { trivia: true }).tokenize();
+    const significant = tokens.filter(t => t.type !== TokenType.WHITESPACE && t.type !== TokenType.COMMENT);
+    this.root = new CSTParser(significant, source).parse();
+    this.tokens = tokens;
+    this.text = source;
+  }
+
+  toString() {
+    return this.text;
+  }
+
+  /**
+   * Source text spanned by a node
+   */
+  textOf(node) {
+    return this.text.slice(node.start, node.end);
+  }
+
+  /**
+   * Find the node at path, along with its parent
+   */
+  locate(path) {
+    let node = this.root;
+    let parent = null;
+    while (node.type === 'Group') node = node.item;
+
+    for (let i = 0; i < path.length; i++) {
+      const key = path[i];
+      let next;
+
+      while (node.type === 'Enclose' || node.type === 'Group') {
+        parent = node;
+        node = node.item;
+      }
+
+      if (node.type === 'Namespace') {
+        next = node.members.find(m => m.name === key)?.value;
+      } else if (node.type === 'Vector' || node.type === 'Strand' || node.type === 'Matrix') {
+        next = Number.isInteger(key) ? node.items[key] : undefined;
+      } else {
+        throw new Error(`Cannot descend into ${node.type} at path step ${i}`);
+      }
+
+      if (!next) {
+        throw new Error(`No ${typeof key === 'string' ? 'member' : 'element'} ${key} in ${node.type} at path step ${i}`);
+      }
+
+      parent = node;
+      node = next;
+      while (node.type === 'Group') {
+        parent = node;
+        node = node.item;
+      }
+    }
+
+    return { node, parent };
+  }
+
+  find(path = []) {
+    return this.locate(path).node;
+  }
+
+  /**
+   * Parsed value of the node at path
+   */
+  valueAt(path = []) {
+    return parse(this.textOf(this.find(path)));
+  }
+
+  /**
+   * Replace the node at path with the serialized value
+   * Options are passed to serialize (default: { useDiamond: true })
+   */
+  set(path, value, options = {}) {
+    const { node, parent } = this.locate(path);
+    let text = serialize(value, { useDiamond: true, ...options });
+
+    // A multi-item strand spliced into another strand would merge with it
+    if (parent?.type === 'Strand' && !isSingleItem(text)) {
+      text = `(${text})`;
+    }
+
+    this.load(this.text.slice(0, node.start) + text + this.text.slice(node.end));
+    return this;
+  }
+}
+
+/**
+ * Check whether APLAN text is a single strand item (not a bare strand)
+ */
+function isSingleItem(text) {
+  const tokens = new Tokenizer(text).tokenize();
+  let depth = 0;
+  let items = 0;
+  for (const token of tokens) {
+    if (depth === 0 && token.type !== TokenType.RPAREN && token.type !== TokenType.RBRACKET && token.type !== TokenType.EOF) {
+      items++;
+    }
+    if (token.type === TokenType.LPAREN || token.type === TokenType.LBRACKET) depth++;
+    if (token.type === TokenType.RPAREN || token.type === TokenType.RBRACKET) depth--;
+  }
+  return items <= 1;
+}
+
+/**
+ * Parse APLAN string to JavaScript value
+ *
+ * Options:
+ * - charScalars: parse 'a' as a Char scalar, keeping strings for character vectors
+ * - aplArray: return vectors and matrices as APLArray (shape + ravel)
+ * - typed: like aplArray, with Int32Array/Float64Array ravels for all-numeric arrays
+ * - bigint: return integers outside the safe-integer range as BigInt ('always': every integer)
+ * - decimal: return real numbers as Decimal, keeping their exact digits
+ * - demangle: undo the ⍙ escapes of serialize's names: 'mangle' in namespace member names
+ */
+function parse(source, options = {}) {
+  const tokenizer = new Tokenizer(source, { bigint: options.bigint, decimal: options.decimal });
+  const tokens = tokenizer.tokenize();
+  const parser = new Parser(tokens, source, options);
+  return parser.parse();
+}
+
+/**
+ * Serialize JavaScript value to APLAN string
+ */
+function serialize(value, options = {}) {
+  const serializer = new Serializer(options);
+  return serializer.serialize(value);
+}
+
+/**
+ * Parse APLAN string to a lossless, editable CSTDocument
+ */
+function parseCST(source) {
+  return new CSTDocument(source);
+}
+
+/**
+ * Compare two floats or complex numbers, exactly or within tolerance ct:
+ * |a-b| ≤ ct × max(|a|, |b|), as APL does with ⎕CT
+ */
+function floatsEqual(a, b, ct) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    if (a === b || (Number.isNaN(a) && Number.isNaN(b))) return true;
+    return ct > 0 && Math.abs(a - b) <= ct * Math.max(Math.abs(a), Math.abs(b));
+  }
+  const x = Complex.from(a);
+  const y = Complex.from(b);
+  if (x.re === y.re && x.im === y.im) return true;
+  return ct > 0 && Math.hypot(x.re - y.re, x.im - y.im) <= ct * Math.max(x.abs(), y.abs());
+}
+
+/**
+ * Compare two numbers (see isNumeric)
+ * Floats and Complex compare within ct; BigInt and Decimal compare exactly, and
+ * only with each other or with floats when mixedNumbers is set
+ */
+function numbersEqual(a, b, options) {
+  const ct = options.ct ?? 0;
+  const isFloat = v => typeof v === 'number' || v instanceof Complex;
+  if (isFloat(a) && isFloat(b)) return floatsEqual(a, b, ct);
+  if (typeof a === 'bigint' && typeof b === 'bigint') return a === b;
+  if (a instanceof Decimal && b instanceof Decimal) return a.equals(b);
+  if (!options.mixedNumbers) return false;
+
+  if (isFloat(a) || isFloat(b)) {
+    const toFloat = v => (v instanceof Decimal ? v.toNumber() : typeof v === 'bigint' ? Number(v) : v);
+    return floatsEqual(toFloat(a), toFloat(b), ct);
+  }
+  const toDecimal = v => (v instanceof Decimal ? v : new Decimal(String(v)));
+  return toDecimal(a).equals(toDecimal(b));
+}
+
+/**
+ * Index tuple of a ravel position in an array of the given shape
+ */
+function unravelIndex(position, shape) {
+  const index = new Array(shape.length);
+  for (let axis = shape.length - 1; axis >= 0; axis--) {
+    index[axis] = position % shape[axis];
+    position = Math.floor(position / shape[axis]);
+  }
+  return index;
+}
+
+/**
+ * Items of a plain vector or rank-1 APLArray, or undefined for anything else
+ */
+function vectorOf(value) {
+  if (value instanceof APLArray) return value.rank === 1 ? toArray(value.ravel) : undefined;
+  return Array.isArray(value) && !value._shape ? value : undefined;
+}
+
+/**
+ * Walk two values side by side; the traversal behind equal and diff
+ *
+ * Returns whether they are equal. With a changes array, every difference is
+ * recorded under its path and the walk continues; without one it stops at the
+ * first difference.
+ */
+function compare(a, b, options, path, changes) {
+  if (a === b) return true;
+
+  const replaced = (extra = {}) => {
+    if (changes) changes.push({ op: 'replace', path, value: b, oldValue: a, ...extra });
+    return false;
+  };
+
+  // Zilde equals empty array (check identity or _isZilde property)
+  const aIsZilde = a === zilde || (Array.isArray(a) && a._isZilde);
+  const bIsZilde = b === zilde || (Array.isArray(b) && b._isZilde);
+  if (aIsZilde || bIsZilde) {
+    if (aIsZilde && bIsZilde) return true;
+    const other = aIsZilde ? b : a;
+    const isEmpty = (Array.isArray(other) && other.length === 0) ||
+      (other instanceof APLArray && other.rank === 1 && other.size === 0);
+    return (isEmpty && (options.zildeIsEmpty ?? true)) || replaced();
+  }
+
+  // Numbers, including Complex against reals when the imaginary part is 0
+  if (isNumeric(a) || isNumeric(b)) {
+    return (isNumeric(a) && isNumeric(b) && numbersEqual(a, b, options)) || replaced();
+  }
+
+  // Character scalars, optionally against one-character strings
+  if (options.charIsString) {
+    if (a instanceof Char && typeof b === 'string') return a.value === b || replaced();
+    if (b instanceof Char && typeof a === 'string') return a === b.value || replaced();
+  }
+
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return replaced();
+  }
+
+  // Character scalars
+  if (a instanceof Char || b instanceof Char) {
+    return (a instanceof Char && b instanceof Char && a.value === b.value) || replaced();
+  }
+
+  // Nested scalars: paths step through ⊂, as get does
+  if (a instanceof Enclosed || b instanceof Enclosed) {
+    if (!(a instanceof Enclosed && b instanceof Enclosed)) return replaced();
+    return compare(a.value, b.value, options, path, changes);
+  }
+
+  // Vectors (rank-1 APLArrays too): items compared by index, then trailing
+  // items added or removed
+  const xs = vectorOf(a);
+  const ys = vectorOf(b);
+  if (xs && ys) {
+    if (xs.length !== ys.length && !changes) return false;
+    const common = Math.min(xs.length, ys.length);
+    let same = xs.length === ys.length;
+    for (let i = 0; i < common; i++) {
+      if (!compare(xs[i], ys[i], options, [...path, i], changes)) {
+        if (!changes) return false;
+        same = false;
+      }
+    }
+    if (changes) {
+      for (let i = common; i < ys.length; i++) {
+        changes.push({ op: 'add', path: [...path, i], value: ys[i] });
+      }
+      // Highest index first, so applying the removals in order keeps indices valid
+      for (let i = xs.length - 1; i >= common; i--) {
+        changes.push({ op: 'remove', path: [...path, i], oldValue: xs[i] });
+      }
+    }
+    return same;
+  }
+
+  // Shape + ravel arrays (also against the nested representation) and matrices:
+  // a shape change replaces the whole array, otherwise items are compared by index
+  if (a instanceof APLArray || b instanceof APLArray || (Array.isArray(a) && a._shape) || (Array.isArray(b) && b._shape)) {
+    const x = APLArray.from(a);
+    const y = APLArray.from(b);
+    if (!equal(x.shape, y.shape)) {
+      return replaced({ shape: y.shape, oldShape: x.shape });
+    }
+    let same = true;
+    for (let i = 0; i < x.ravel.length; i++) {
+      const itemPath = x.rank === 0 ? path : [...path, x.rank === 1 ? i : unravelIndex(i, x.shape)];
+      if (!compare(x.ravel[i], y.ravel[i], options, itemPath, changes)) {
+        if (!changes) return false;
+        same = false;
+      }
+    }
+    return same;
+  }
+
+  if (Array.isArray(a) !== Array.isArray(b)) return replaced();
+
+  // Objects/Namespaces
+  let same = true;
+  for (const key of Object.keys(a)) {
+    const removed = !Object.hasOwn(b, key);
+    if (removed || !compare(a[key], b[key], options, [...path, key], changes)) {
+      if (!changes) return false;
+      if (removed) changes.push({ op: 'remove', path: [...path, key], oldValue: a[key] });
+      same = false;
+    }
+  }
+  for (const key of Object.keys(b)) {
+    if (!Object.hasOwn(a, key)) {
+      if (!changes) return false;
+      changes.push({ op: 'add', path: [...path, key], value: b[key] });
+      same = false;
+    }
+  }
+  return same;
+}
+
+/**
+ * Check if two values are equal (for round-trip testing)
+ *
+ * Options:
+ * - ct: comparison tolerance for floats and complex numbers, like ⎕CT (default 0, exact)
+ * - mixedNumbers: compare BigInt, Decimal and floats with each other by value (default false)
+ * - zildeIsEmpty: zilde equals any empty vector (default true)
+ * - charIsString: a Char equals the one-character string (default false)
+ */
+function equal(a, b, options = {}) {
+  return compare(a, b, options, [], null);
+}
+
+/**
+ * Structural differences from a to b, as a list of path-addressed changes:
+ * - { op: 'add', path, value }: namespace member or trailing vector item added
+ * - { op: 'remove', path, oldValue }: namespace member or trailing vector item removed
+ * - { op: 'replace', path, value, oldValue }: anything else that differs; a
+ *   changed array shape replaces the whole array and adds shape and oldShape
+ *
+ * Paths are lists of steps: member names, vector indices, and index tuples
+ * for matrix cells (see formatPath). Takes the same options as equal.
+ */
+function diff(a, b, options = {}) {
+  const changes = [];
+  compare(a, b, options, [], changes);
+  return changes;
+}
+
+/**
+ * Format a path as text: config.tables[2][1;0]
+ */
+function formatPath(path) {
+  let text = '';
+  for (const step of path) {
+    if (typeof step === 'string') {
+      text += text ? `.${step}` : step;
+    } else if (Array.isArray(step)) {
+      text += `[${step.join(';')}]`;
+    } else {
+      text += `[${step}]`;
+    }
+  }
+  return text;
+}
+
+/**
+ * Parse a path: member names, [i] vector indices and [i;j] matrix cells,
+ * with * (or an empty matrix axis, as in [1;]) selecting everything there
+ *
+ * Returns path steps as used by diff and patch, where null stands for "all":
+ * 'config.tables[*][;0]' → ['config', 'tables', null, [null, 0]]
+ */
+function parsePath(text) {
+  const steps = [];
+  let pos = 0;
+  const fail = (reason) => new AplanSyntaxError(reason, { source: text, line: 1, column: pos + 1, offset: pos });
+
+  // An index, null for *, or undefined when left out
+  const readIndex = () => {
+    if (text[pos] === '*') {
+      pos++;
+      return null;
+    }
+    const start = pos;
+    while (isDigit(text[pos])) pos++;
+    return pos > start ? Number(text.slice(start, pos)) : undefined;
+  };
+
+  while (pos < text.length) {
+    if (text[pos] === '[') {
+      pos++;
+      const index = [readIndex()];
+      while (text[pos] === ';') {
+        pos++;
+        index.push(readIndex());
+      }
+      if (index.length === 1 && index[0] === undefined) throw fail('Expected index');
+      if (text[pos] !== ']') throw fail('Expected ] or ;');
+      pos++;
+      // Left-out matrix axes, as in [1;], take the whole axis
+      steps.push(index.length === 1 ? index[0] : index.map(i => i ?? null));
+      continue;
+    }
+
+    if (steps.length > 0) {
+      if (text[pos] !== '.') throw fail('Expected . or [');
+      pos++;
+    }
+    if (text[pos] === '*') {
+      pos++;
+      steps.push(null);
+    } else if (isNameStart(text[pos])) {
+      const start = pos;
+      while (pos < text.length && isNameChar(text[pos])) pos++;
+      steps.push(text.slice(start, pos));
+    } else {
+      throw fail('Expected name or *');
+    }
+  }
+  return steps;
+}
+
+/**
+ * Items one path step selects from a value, as [step, item] pairs with
+ * concrete steps (no nulls); ⊂ is stepped through, as get does
+ */
+function selectStep(value, step) {
+  while (value instanceof Enclosed) value = value.value;
+  const kind = containerKind(value);
+
+  if (typeof step === 'string') {
+    return kind === 'namespace' && Object.hasOwn(value, step) ? [[step, value[step]]] : [];
+  }
+  if (kind === 'namespace') {
+    return step === null ? Object.keys(value).map(key => [key, value[key]]) : [];
+  }
+  if (kind === 'vector') {
+    if (step === null) return value.map((item, i) => [i, item]);
+    return Number.isInteger(step) && step >= 0 && step < value.length ? [[step, value[step]]] : [];
+  }
+  if (kind === null) return [];
+
+  // Matrices and APLArrays: one index per axis, null taking the whole axis
+  const shape = kind === 'array' ? value.shape : value._shape;
+  const index = step === null ? shape.map(() => null) : [step].flat();
+  if (index.length !== shape.length) return [];
+  return indexTuples(shape, index)
+    .map(tuple => [shape.length === 1 ? tuple[0] : tuple, cellAt(value, kind, shape, tuple)]);
+}
+
+/**
+ * Find the values at a path, across namespaces, vectors and matrices
+ *
+ * The path is text (see parsePath) or an array of steps. Returns every match
+ * as { path, value }, with concrete paths usable by patch; parts of the path
+ * that don't apply (missing members, out-of-range indices) just match nothing.
+ */
+function query(value, path) {
+  const steps = typeof path === 'string' ? parsePath(path) : path;
+  let matches = [{ path: [], value }];
+  for (const step of steps) {
+    matches = matches.flatMap(match =>
+      selectStep(match.value, step).map(([taken, item]) => ({ path: [...match.path, taken], value: item })));
+  }
+  return matches;
+}
+
+/**
+ * Patch error with the failing operation
+ *
+ * Thrown by patch. Carries the operation, its position in the list, and the
+ * path up to the step that failed; the value being patched is left untouched.
+ */
+class AplanPatchError extends Error {
+  constructor(reason, { op, index, path } = {}) {
+    let message = reason;
+    if (path !== undefined) message += ` at ${formatPath(path) || 'the root'}`;
+    if (op !== undefined) message += ` (operation ${index}: ${op.op})`;
+    super(message);
+    this.name = 'AplanPatchError';
+    this.reason = reason;
+    this.op = op;
+    this.index = index;
+    this.path = path;
+  }
+}
+
+/**
+ * Kind of container a path step indexes into
+ */
+function containerKind(value) {
+  if (value instanceof APLArray) return 'array';
+  if (Array.isArray(value)) return value._shape ? 'matrix' : 'vector';
+  if (typeof value === 'object' && value !== null &&
+      !(value instanceof Char || value instanceof Decimal || value instanceof Complex || value instanceof Enclosed)) {
+    return 'namespace';
+  }
+  return null;
+}
+
+/**
+ * Applies one patch operation, copying only the containers along its path
+ */
+class Patcher {
+  constructor(op, index) {
+    this.op = op;
+    this.index = index;
+  }
+
+  error(reason, depth) {
+    return new AplanPatchError(reason, { op: this.op, index: this.index, path: this.op.path.slice(0, depth + 1) });
+  }
+
+  apply(value, depth = 0) {
+    const path = this.op.path;
+    if (value instanceof Enclosed) {
+      return new Enclosed(this.apply(value.value, depth));
+    }
+    const kind = containerKind(value);
+    if (kind === null) {
+      throw this.error(`Cannot index into ${typeof value}`, depth);
+    }
+    const step = path[depth];
+    if (depth < path.length - 1) {
+      return this.withChild(value, kind, step, this.apply(this.child(value, kind, step, depth), depth + 1), depth);
+    }
+
+    switch (this.op.op) {
+      case 'test':
+        if (!equal(this.child(value, kind, step, depth), this.op.value)) {
+          throw this.error('Test failed: value differs', depth);
+        }
+        return value;
+      case 'replace':
+        this.checkShape(this.child(value, kind, step, depth), this.op.oldShape, depth);
+        return this.withChild(value, kind, step, this.checkShape(this.op.value, this.op.shape, depth), depth);
+      case 'add':
+        return this.add(value, kind, step, depth);
+      default:
+        return this.remove(value, kind, step, depth);
+    }
+  }
+
+  /**
+   * Values must have the shape the operation declares, if any (shape for the
+   * new value, oldShape for the one it replaces)
+   */
+  checkShape(value, shape, depth) {
+    if (shape !== undefined && !equal(getShape(value), shape)) {
+      throw this.error(`Shape ${getShape(value).join(' ') || 'scalar'} does not match ${shape.join(' ')}`, depth);
+    }
+    return value;
+  }
+
+  /**
+   * Validate a matrix index tuple against the shape and return the ravel offset
+   */
+  offset(shape, step, depth) {
+    const index = typeof step === 'number' && shape.length === 1 ? [step] : step;
+    if (!Array.isArray(index) || index.length !== shape.length) {
+      throw this.error(`Expected an index tuple of rank ${shape.length}, got ${JSON.stringify(step)}`, depth);
+    }
+    let offset = 0;
+    for (let axis = 0; axis < shape.length; axis++) {
+      if (!Number.isInteger(index[axis]) || index[axis] < 0 || index[axis] >= shape[axis]) {
+        throw this.error(`Index ${index[axis]} out of bounds for axis ${axis} with size ${shape[axis]}`, depth);
+      }
+      offset = offset * shape[axis] + index[axis];
+    }
+    return offset;
+  }
+
+  vectorIndex(length, step, depth, allowEnd = false) {
+    if (!Number.isInteger(step)) {
+      throw this.error(`Expected a vector index, got ${JSON.stringify(step)}`, depth);
+    }
+    const limit = allowEnd ? length : length - 1;
+    if (step < 0 || step > limit) {
+      throw this.error(`Index ${step} out of bounds for vector of length ${length}`, depth);
+    }
+    return step;
+  }
+
+  member(ns, step, depth, mustExist = true) {
+    if (typeof step !== 'string') {
+      throw this.error(`Expected a member name, got ${JSON.stringify(step)}`, depth);
+    }
+    if (mustExist && !Object.hasOwn(ns, step)) {
+      throw this.error(`No member ${step}`, depth);
+    }
+    return step;
+  }
+
+  child(value, kind, step, depth) {
+    switch (kind) {
+      case 'array':
+        return value.ravel[this.offset(value.shape, step, depth)];
+      case 'matrix':
+        this.offset(value._shape, step, depth);
+        return [step].flat().reduce((row, i) => row[i], value);
+      case 'vector':
+        return value[this.vectorIndex(value.length, step, depth)];
+      default:
+        return value[this.member(value, step, depth)];
+    }
+  }
+
+  withChild(value, kind, step, child, depth) {
+    switch (kind) {
+      case 'array': {
+        const ravel = Array.from(value.ravel);
+        ravel[this.offset(value.shape, step, depth)] = child;
+        const typed = ArrayBuffer.isView(value.ravel) && typedRavel(ravel);
+        return new APLArray(value.shape, typed || ravel);
+      }
+      case 'matrix': {
+        const copy = setNested(value, [step].flat(), child);
+        copy._shape = value._shape;
+        return copy;
+      }
+      case 'vector': {
+        const copy = value.slice();
+        copy[step] = child;
+        return copy;
+      }
+      default:
+        return { ...value, [step]: child };
+    }
+  }
+
+  add(value, kind, step, depth) {
+    const item = this.checkShape(this.op.value, this.op.shape, depth);
+    if (kind === 'namespace') {
+      return { ...value, [this.member(value, step, depth, false)]: item };
+    }
+    const items = this.vectorItems(value, kind, 'add', depth);
+    items.splice(this.vectorIndex(items.length, step, depth, true), 0, item);
+    return this.vectorLike(value, kind, items);
+  }
+
+  remove(value, kind, step, depth) {
+    if (kind === 'namespace') {
+      const copy = { ...value };
+      delete copy[this.member(value, step, depth)];
+      return copy;
+    }
+    const items = this.vectorItems(value, kind, 'remove', depth);
+    items.splice(this.vectorIndex(items.length, step, depth), 1);
+    return this.vectorLike(value, kind, items);
+  }
+
+  /**
+   * Copy of the items of a vector (plain or rank-1 APLArray); cells of higher
+   * rank arrays can only be replaced, as adding or removing one changes the shape
+   */
+  vectorItems(value, kind, action, depth) {
+    if (kind === 'vector') return value.slice();
+    const rank = getShape(value).length;
+    if (rank === 1) return Array.from(value.ravel);
+    throw this.error(`Cannot ${action} a cell of an array of rank ${rank}; replace the whole array to change its shape`, depth);
+  }
+
+  vectorLike(value, kind, items) {
+    if (kind === 'vector') return items;
+    const typed = ArrayBuffer.isView(value.ravel) && typedRavel(items);
+    return new APLArray([items.length], typed || items);
+  }
+}
+
+/**
+ * Copy nested arrays along an index tuple, setting the item it reaches
+ */
+function setNested(rows, index, item) {
+  const copy = rows.slice();
+  copy[index[0]] = index.length === 1 ? item : setNested(rows[index[0]], index.slice(1), item);
+  return copy;
+}
+
+/**
+ * Apply a list of operations, in the style of JSON Patch, returning a new value
+ *
+ * Operations are those diff returns: add, remove and replace, plus test, which
+ * checks that the value at path equals value. Paths use member names, vector
+ * indices and index tuples for matrix cells. Cells of arrays of rank 2 or
+ * more can only be replaced; an operation's optional shape must match its new
+ * value. The input
+ * is not modified: containers along each path are copied.
+ */
+function patch(value, ops) {
+  let result = value;
+  ops.forEach((op, index) => {
+    if (!['add', 'remove', 'replace', 'test'].includes(op.op)) {
+      throw new AplanPatchError(`Unknown operation ${JSON.stringify(op.op)}`, { op, index });
+    }
+    if (!Array.isArray(op.path)) {
+      throw new AplanPatchError('Operation needs a path array', { op, index });
+    }
+    const patcher = new Patcher(op, index);
+    if (op.path.length > 0) {
+      result = patcher.apply(result);
+    } else if (op.op === 'test') {
+      if (!equal(result, op.value)) throw patcher.error('Test failed: value differs', -1);
+    } else if (op.op === 'remove') {
+      throw patcher.error('Cannot remove the root', -1);
+    } else {
+      // Replacing (or adding) the root swaps the whole value
+      if (op.op === 'replace') patcher.checkShape(result, op.oldShape, -1);
+      result = patcher.checkShape(op.value, op.shape, -1);
+    }
+  });
+  return result;
+}
+
+// Tag key for toJSONLossless; not a valid APL name, so never a namespace member
+const LOSSLESS_TAG = '$aplan';
+
+/**
+ * Encode a value as JSON-compatible data that fromJSONLossless turns back into
+ * an equal value of the same representation
+ *
+ * Numbers, strings, null and plain vectors stay as they are, and namespaces
+ * become JSON objects. Everything else is an object tagged with $aplan:
+ * - { $aplan: 'zilde' }
+ * - { $aplan: 'array', shape, ravel } for _shape arrays of any rank
+ * - { $aplan: 'APLArray', shape, ravel, ravelType? } (ravelType for typed ravels)
+ * - { $aplan: 'complex', re, im }
+ * - { $aplan: 'char', value }, { $aplan: 'enclose', value }
+ * - { $aplan: 'bigint', value }, { $aplan: 'decimal', value } (value is a string)
+ */
+function toJSONLossless(value) {
+  const tagged = (tag, fields) => ({ [LOSSLESS_TAG]: tag, ...fields });
+
+  if (value === null || value === undefined) return null;
+  if (value === zilde || (Array.isArray(value) && value._isZilde)) return tagged('zilde');
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot encode non-finite number: ${value}`);
+    }
+    return value;
+  }
+  if (typeof value === 'string') return value;
+  if (typeof value === 'bigint') return tagged('bigint', { value: String(value) });
+  if (value instanceof Decimal) return tagged('decimal', { value: value.toString() });
+  if (value instanceof Complex) return tagged('complex', { re: value.re, im: value.im });
+  if (value instanceof Char) return tagged('char', { value: value.value });
+  if (value instanceof Enclosed) return tagged('enclose', { value: toJSONLossless(value.value) });
+  if (value instanceof APLArray) {
+    const fields = { shape: value.shape, ravel: Array.from(value.ravel, toJSONLossless) };
+    if (ArrayBuffer.isView(value.ravel)) fields.ravelType = value.ravel.constructor.name;
+    return tagged('APLArray', fields);
+  }
+  if (Array.isArray(value)) {
+    if (value._shape) {
+      return tagged('array', { shape: value._shape, ravel: flatten(value).map(toJSONLossless) });
+    }
+    return value.map(toJSONLossless);
+  }
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [key, member] of Object.entries(value)) {
+      result[key] = toJSONLossless(member);
+    }
+    return result;
+  }
+  throw new Error(`Cannot encode value: ${typeof value}`);
+}
+
+/**
+ * Decode data produced by toJSONLossless (after JSON.parse, if it was stringified)
+ */
+function fromJSONLossless(data) {
+  if (data === null || typeof data !== 'object') return data;
+  if (Array.isArray(data)) return data.map(fromJSONLossless);
+
+  const tag = data[LOSSLESS_TAG];
+  if (tag === undefined) {
+    const ns = {};
+    for (const [key, member] of Object.entries(data)) {
+      ns[key] = fromJSONLossless(member);
+    }
+    ns[_ns] = true;
+    return ns;
+  }
+
+  switch (tag) {
+    case 'zilde':
+      return zilde;
+    case 'bigint':
+      return BigInt(data.value);
+    case 'decimal':
+      return new Decimal(data.value);
+    case 'complex':
+      return new Complex(data.re, data.im);
+    case 'char':
+      return new Char(data.value);
+    case 'enclose':
+      return new Enclosed(fromJSONLossless(data.value));
+    case 'array':
+      return shaped(data.shape, data.ravel.map(fromJSONLossless), null);
+    case 'APLArray': {
+      const ravel = data.ravel.map(fromJSONLossless);
+      const types = { Int32Array, Float64Array };
+      if (data.ravelType !== undefined && !types[data.ravelType]) {
+        throw new Error(`Unknown ravelType: ${data.ravelType}`);
+      }
+      return new APLArray(data.shape, data.ravelType ? new types[data.ravelType](ravel) : ravel);
+    }
+    default:
+      throw new Error(`Unknown ${LOSSLESS_TAG} tag: ${JSON.stringify(tag)}`);
+  }
+}
+
+/**
+ * Convert JSON data (as from JSON.parse) to APLAN values as Dyalog's ⎕JSON
+ * would import it: true and false become 1 and 0, null is kept (⎕NULL),
+ * arrays become vectors and objects namespaces, with member names that are
+ * not valid APL names mangled ('a-b' → 'a⍙45⍙b', '2a' → '⍙2a').
+ */
+function importJSON(data) {
+  if (data === true || data === false) return Number(data);
+  if (data === null || typeof data !== 'object') return data;
+  if (Array.isArray(data)) return data.map(importJSON);
+
+  const ns = {};
+  for (const [key, member] of Object.entries(data)) {
+    ns[mangleName(key)] = importJSON(member);
+  }
+  ns[_ns] = true;
+  return ns;
+}
+
+/**
+ * Convert an APLAN value to JSON data as Dyalog's ⎕JSON would export it:
+ * ⊂'true', ⊂'false' and ⊂'null' become the JSON literals, null (⎕NULL) is
+ * null, namespace member names are demangled and arrays of rank 2 or more are
+ * split into nested arrays, rows of characters becoming strings. With
+ * { highRank: 'error' } they are refused instead, like ⎕JSON's HighRank option.
+ * With { charScalars: true } a one-character string is a character vector, as
+ * importJSON produces it, rather than a character scalar.
+ * Complex numbers and other enclosures have no JSON form (Domain error).
+ */
+function exportJSON(value, options = {}) {
+  const highRank = options.highRank ?? 'split';
+  const charScalars = options.charScalars ?? false;
+  if (!['split', 'error'].includes(highRank)) {
+    throw new Error(`highRank must be 'split' or 'error', got ${JSON.stringify(highRank)}`);
+  }
+
+  const isChar = item => item instanceof Char || (typeof item === 'string' && Array.from(item).length === 1);
+  // Ravels of arrays never hold vectors, so only plain vectors depend on charScalars
+  const isVectorChar = charScalars ? item => item instanceof Char : isChar;
+  const vector = (items, chars) => (items.length > 0 && items.every(chars)
+    ? items.map(item => (item instanceof Char ? item.value : item)).join('')
+    : items.map(convert));
+  // Nested vectors along the leading axes, one per cell of the last axis
+  const split = (items, dims) => {
+    if (dims.length === 1) return vector(items, isChar);
+    const size = items.length / dims[0];
+    return Array.from({ length: dims[0] }, (_, i) => split(items.slice(i * size, (i + 1) * size), dims.slice(1)));
+  };
+
+  const convert = (value) => {
+    if (value === null) return null;
+    if (value === zilde || (Array.isArray(value) && value._isZilde)) return [];
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) throw new Error(`Domain error: cannot export ${value}`);
+      return value;
+    }
+    if (typeof value === 'bigint' || value instanceof Decimal) return Number(value);
+    if (value instanceof Complex) {
+      if (value.im !== 0) throw new Error(`Domain error: cannot export complex number ${value}`);
+      return value.re;
+    }
+    if (typeof value === 'string') return value;
+    if (value instanceof Char) return value.value;
+    if (value instanceof Enclosed) {
+      if (['true', 'false', 'null'].includes(value.value)) return JSON.parse(value.value);
+      throw new Error('Domain error: only ⊂\'true\', ⊂\'false\' and ⊂\'null\' can be exported as scalars');
+    }
+    if (value instanceof APLArray || (Array.isArray(value) && value._shape)) {
+      const dims = getShape(value);
+      const items = flatten(value);
+      if (dims.length === 0) return convert(items[0]);
+      if (dims.length > 1 && highRank === 'error') {
+        throw new Error(`Rank error: cannot export array of rank ${dims.length}`);
+      }
+      return split(items, dims);
+    }
+    if (Array.isArray(value)) return vector(value, isVectorChar);
+    if (typeof value === 'object') {
+      const result = {};
+      for (const [key, member] of Object.entries(value)) {
+        result[demangleName(key)] = convert(member);
+      }
+      return result;
+    }
+    throw new Error(`Domain error: cannot export ${typeof value}`);
+  };
+  return convert(value);
 }
 
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { parse, serialize, equal, get, zilde, _ns, Tokenizer, Parser, Serializer };
+  module.exports = { parse, parseCST, serialize, equal, diff, patch, query, parsePath, formatPath, get, reshape, ravel, transpose, take, drop, catenate, laminate, shape, rank, depth, tally, isSimple, isScalar, toJSONLossless, fromJSONLossless, importJSON, exportJSON, zilde, _ns, Char, Decimal, Complex, Enclosed, enclose, APLArray, AplanSyntaxError, AplanPatchError, Tokenizer, Parser, CSTParser, CSTDocument, Serializer };
 }
 
 // Export for ES modules
-export { parse, serialize, equal, get, zilde, _ns, Tokenizer, Parser, Serializer };
+export { parse, parseCST, serialize, equal, diff, patch, query, parsePath, formatPath, get, reshape, ravel, transpose, take, drop, catenate, laminate, shape, rank, depth, tally, isSimple, isScalar, toJSONLossless, fromJSONLossless, importJSON, exportJSON, zilde, _ns, Char, Decimal, Complex, Enclosed, enclose, APLArray, AplanSyntaxError, AplanPatchError, Tokenizer, Parser, CSTParser, CSTDocument, Serializer };
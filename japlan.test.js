@@ -4,7 +4,7 @@
  * Run with: node japlan.test.js
  */
 
-import { parse, serialize, equal, get, zilde, _ns } from './japlan.js';
+import { parse, parseCST, serialize, equal, diff, patch, query, parsePath, formatPath, get, reshape, ravel, transpose, take, drop, catenate, laminate, shape, rank, depth, tally, isSimple, isScalar, toJSONLossless, fromJSONLossless, importJSON, exportJSON, zilde, _ns, Char, Decimal, Complex, Enclosed, enclose, APLArray, AplanSyntaxError, AplanPatchError, Tokenizer } from './japlan.js';
 
 let passed = 0;
 let failed = 0;
@@ -33,6 +33,26 @@ function assertEq(actual, expected, message) {
   }
 }
 
+/**
+ * Call fn, which must throw, and return the error. check narrows what it must
+ * throw: an error class, a substring of the message, or a RegExp to match it.
+ */
+function assertThrows(fn, check) {
+  try {
+    fn();
+  } catch (e) {
+    if (typeof check === 'function') {
+      assert(e instanceof check, `Expected ${check.name}, got ${e.name}: ${e.message}`);
+    } else if (check instanceof RegExp) {
+      assert(check.test(e.message), `Expected message matching ${check}, got: ${e.message}`);
+    } else if (check !== undefined) {
+      assert(e.message.includes(check), `Expected message including ${JSON.stringify(check)}, got: ${e.message}`);
+    }
+    return e;
+  }
+  throw new Error('Expected an error to be thrown');
+}
+
 function roundTrip(source, expected) {
   const parsed = parse(source);
   assertEq(parsed, expected, `Parse failed for: ${source}`);
@@ -75,14 +95,24 @@ test('exponential with negative exponent', () => {
   assertEq(parse('2.5E¯3'), 0.0025);
 });
 
+test('exponent without digits is a syntax error', () => {
+  for (const source of ['1E', '1 2E¯', '1J2E', '(x: 1e)']) {
+    for (const decimal of [false, true]) {
+      assertThrows(() => parse(source, { decimal }), /Expected digits in exponent/);
+    }
+  }
+  const error = assertThrows(() => parse('1 2E', { decimal: true }), AplanSyntaxError);
+  assertEq([error.line, error.column], [1, 3]);
+});
+
 test('complex number', () => {
   const result = parse('3J4');
-  assertEq(result, { re: 3, im: 4 });
+  assertEq(result, new Complex(3, 4));
 });
 
 test('complex with negatives', () => {
   const result = parse('¯2J¯3');
-  assertEq(result, { re: -2, im: -3 });
+  assertEq(result, new Complex(-2, -3));
 });
 
 test('number vector (strand)', () => {
@@ -230,6 +260,59 @@ test('get throws on matrix index rank mismatch', () => {
   assert(threw, 'should throw on rank mismatch');
 });
 
+test('get namespace members', () => {
+  const ns = parse("(name: 'x' ⋄ grid: [1 2 ⋄ 3 4] ⋄ list: (10 ⋄ (a: 1)))");
+  assertEq(get(ns, 'name'), 'x');
+  assertEq(get(ns, ['grid', 1, 0]), 3);
+  assertEq(get(ns, ['list', 1, 'a']), 1);
+});
+
+test('get throws on missing member', () => {
+  assertThrows(() => get(parse('(a: 1)'), 'b'), /^No member b$/);
+});
+
+test('get with index origin 1', () => {
+  assertEq(get([10, 20, 30], 1, { io: 1 }), 10);
+  assertEq(get(parse('[1 2 ⋄ 3 4]'), [2, 1], { io: 1 }), 3);
+  assertThrows(() => get([10, 20, 30], 0, { io: 1 }), 'out of bounds');
+});
+
+test('get with negative indices', () => {
+  assertEq(get([10, 20, 30], -1), 30);
+  assertEq(get([10, 20, 30], -3), 10);
+  assertEq(get(parse('[1 2 3 ⋄ 4 5 6]'), [-1, -2]), 5);
+  assertEq(get([10, 20, 30], -1, { io: 1 }), 30);
+});
+
+test('get rows and columns with null', () => {
+  const mat = parse('[1 2 3 ⋄ 4 5 6]');
+  assertEq(get(mat, [1, null]), [4, 5, 6]);
+  assertEq(get(mat, [null, 2]), [3, 6]);
+  assertEq(get(mat, [null, 1], { io: 1 }), [1, 4]);
+  assertEq(get([1, 2, 3], null), [1, 2, 3]);
+  const all = get(mat, [null, null]);
+  assertEq(all._shape, [2, 3]);
+  assertEq(all, mat);
+});
+
+test('get slices of rank-3 and APLArray values', () => {
+  const cube = parse('[[1 2 ⋄ 3 4] ⋄ [5 6 ⋄ 7 8]]');
+  const slice = get(cube, [null, 1, null]);
+  assertEq(slice._shape, [2, 2]);
+  assertEq(slice, parse('[3 4 ⋄ 7 8]'));
+  const typed = parse('[1 2 ⋄ 3 4]', { typed: true });
+  const column = get(typed, [null, 1]);
+  assert(column instanceof APLArray && column.ravel instanceof Int32Array, 'typed APLArray column');
+  assertEq(Array.from(column.ravel), [2, 4]);
+});
+
+test('get rows and columns of a character matrix', () => {
+  const mat = parse("['ab' ⋄ 'cd']");
+  assertEq(get(mat, [0, null]), 'ab');
+  assertEq(get(mat, [null, 1]), 'bd');
+  assertEq(get(parse("['a' ⋄ 'b']"), [0, null]), ['a']);
+});
+
 // ============== Vectors ==============
 console.log('\n--- Vectors ---');
 
@@ -300,6 +383,40 @@ test('matrix with different row lengths (padding)', () => {
   assertEq(result[1], [3, 4, 5]);
 });
 
+test('character rows padded with spaces', () => {
+  const result = parse("['abc' ⋄ 'de']");
+  assertEq(result._shape, [2, 3]);
+  assertEq(result[1], ['d', 'e', ' ']);
+  assertEq(serialize(result, { useDiamond: true }), "['abc' ⋄ 'de ']");
+});
+
+test('each row padded with its own prototype', () => {
+  const result = parse("[1 ⋄ 'abc' ⋄ '' ⋄ ⍬]");
+  assertEq(result[0], [1, 0, 0]);
+  assertEq(result[1], ['a', 'b', 'c']);
+  assertEq(result[2], [' ', ' ', ' ']);
+  assertEq(result[3], [0, 0, 0]);
+});
+
+test('nested cells padded with structural prototype', () => {
+  const result = parse("[(1 2) 'xy' ⋄ ('abc' ⋄)]");
+  assertEq(result._shape, [2, 2]);
+  assertEq(result[0], [[1, 2], 'xy']);
+  assertEq(result[1], ['abc', '   ']);
+});
+
+test('nested numeric prototype is zeroed copy of first item', () => {
+  const result = parse('[(1 2) (3 4) ⋄ ((5 6 7) ⋄)]');
+  assertEq(result[1], [[5, 6, 7], [0, 0, 0]]);
+});
+
+test('higher-rank character cells padded with spaces', () => {
+  const result = parse("[['ab' ⋄ 'c'] ⋄ 'xyz']");
+  assertEq(result._shape, [2, 2, 3]);
+  assertEq(result[0], [['a', 'b', ' '], ['c', ' ', ' ']]);
+  assertEq(result[1], [['x', 'y', 'z'], [' ', ' ', ' ']]);
+});
+
 test('empty brackets error', () => {
   try {
     parse('[]');
@@ -400,7 +517,7 @@ test('serialize number array (strand)', () => {
 });
 
 test('serialize complex number', () => {
-  assertEq(serialize({ re: 3, im: 4 }), '3J4');
+  assertEq(serialize(new Complex(3, 4)), '3J4');
 });
 
 test('serialize namespace', () => {
@@ -453,6 +570,10 @@ test('whitespace handling', () => {
   assertEq(parse('  42  '), 42);
 });
 
+test('trailing newline', () => {
+  assertEq(parse('(1 ⋄ 2)\n'), [1, 2]);
+});
+
 test('multiple separators', () => {
   assertEq(parse('(1 ⋄ ⋄ 2)'), [1, 2]);
 });
@@ -593,6 +714,1536 @@ test('complex with exponential', () => {
   assertEq(result.im, 30);
 });
 
+// ============== Higher-Rank Arrays ==============
+console.log('\n--- Higher-Rank Arrays ---');
+
+function roundTripShape(source) {
+  const parsed = parse(source);
+  for (const useDiamond of [true, false]) {
+    const reparsed = parse(serialize(parsed, { useDiamond }));
+    assertEq(reparsed._shape, parsed._shape, `shape changed for: ${source}`);
+    assertEq(reparsed, parsed, `value changed for: ${source}`);
+  }
+  return parsed;
+}
+
+test('rank 3 from nested brackets', () => {
+  const result = roundTripShape('[[1 2 ⋄ 3 4] ⋄ [5 6 ⋄ 7 8]]');
+  assertEq(result._shape, [2, 2, 2]);
+  assertEq(result, reshape([2, 2, 2], [1, 2, 3, 4, 5, 6, 7, 8]));
+});
+
+test('rank 3 from juxtaposed brackets', () => {
+  const result = parse('[[1 2 ⋄ 3 4] [5 6 ⋄ 7 8]]');
+  assertEq(result._shape, [2, 2, 2]);
+});
+
+test('rank 4 from doubly nested brackets', () => {
+  const result = roundTripShape('[[[1 ⋄ 2] ⋄ [3 ⋄ 4]] ⋄ [[5 ⋄ 6] ⋄ [7 ⋄ 8]]]');
+  assertEq(result._shape, [2, 2, 2, 1]);
+  assertEq(result[1][0], [[5], [6]]);
+});
+
+test('mismatched cell ranks extend with leading axes and pad', () => {
+  const result = roundTripShape('[[1 2 ⋄ 3 4] ⋄ 5 6 7]');
+  assertEq(result._shape, [2, 2, 3]);
+  assertEq(result[0], [[1, 2, 0], [3, 4, 0]]);
+  assertEq(result[1], [[5, 6, 7], [0, 0, 0]]);
+});
+
+test('strings are character vector cells', () => {
+  const result = parse("['abc' ⋄ 'xyz']");
+  assertEq(result._shape, [2, 3]);
+  assertEq(result[1], ['x', 'y', 'z']);
+});
+
+test('nested vector cells keep their structure', () => {
+  const result = roundTripShape('[(1 2) (3 4 5) ⋄ (6 ⋄) ⍬]');
+  assertEq(result._shape, [2, 2]);
+  assertEq(result[0], [[1, 2], [3, 4, 5]]);
+  assertEq(result[1][0], [6]);
+});
+
+test('column of nested vectors', () => {
+  const result = roundTripShape("[(1 2 ⋄) ⋄ ('ab' ⋄)]");
+  assertEq(result._shape, [2, 1]);
+  assertEq(result[0], [[1, 2]]);
+});
+
+test('single row matrix round-trip', () => {
+  const result = roundTripShape('[1 2 3 ⋄]');
+  assertEq(result._shape, [1, 3]);
+});
+
+test('strand of parenthesised items', () => {
+  assertEq(parse('(1 (2 3) ⋄ 4)'), [[1, [2, 3]], 4]);
+  assertEq(parse("(2 3) 'ab' ⍬"), [[2, 3], 'ab', []]);
+});
+
+test('single element vector serializes with separator', () => {
+  assertEq(serialize([5], { useDiamond: true }), '(5 ⋄)');
+  assertEq(parse(serialize([5], { useDiamond: true })), [5]);
+});
+
+// ============== Character Scalars ==============
+console.log('\n--- Character Scalars ---');
+
+const chars = { charScalars: true };
+
+test('charScalars: quoted single character is a Char', () => {
+  const result = parse("'a'", chars);
+  assert(result instanceof Char, 'should be Char');
+  assertEq(result.value, 'a');
+});
+
+test('charScalars: longer strings stay strings', () => {
+  assertEq(parse("'abc'", chars), 'abc');
+  assertEq(parse("''", chars), '');
+});
+
+test('charScalars: one-element character vector is a string', () => {
+  assertEq(parse("('a' ⋄)", chars), 'a');
+  assert(typeof parse("('a' ⋄)", chars) === 'string');
+});
+
+test('charScalars: strand of characters is a string', () => {
+  assertEq(parse("'a' 'b' 'c'", chars), 'abc');
+  assertEq(parse("('a' ⋄ 'b')", chars), 'ab');
+});
+
+test('charScalars: vector of one-character vectors is not joined', () => {
+  assertEq(parse("(('a' ⋄) ⋄ ('b' ⋄))", chars), ['a', 'b']);
+});
+
+test('charScalars: character matrix items are Chars', () => {
+  const result = parse("['ab' ⋄ 'c']", chars);
+  assertEq(result._shape, [2, 2]);
+  assert(result[1][0] instanceof Char, 'item should be Char');
+  assertEq(result[1][1], new Char(' '));
+});
+
+test('charScalars: serialize Char and one-character string', () => {
+  assertEq(serialize(new Char('a')), "'a'");
+  assertEq(serialize('a', { charScalars: true, useDiamond: true }), "('a' ⋄)");
+  assertEq(serialize([new Char('x'), new Char('y')]), "'xy'");
+});
+
+test('charScalars: round-trip keeps scalar/vector distinction', () => {
+  for (const source of ["'a'", "('a' ⋄)", "('a' ⋄ 'bc' ⋄ ('d' ⋄))", "['ab' ⋄ 'c']", "[('a' ⋄) ⋄ ('b' ⋄)]"]) {
+    const parsed = parse(source, chars);
+    const reparsed = parse(serialize(parsed, { charScalars: true, useDiamond: true }), chars);
+    assertEq(reparsed, parsed, `round-trip failed for: ${source}`);
+  }
+});
+
+test('charScalars: equal distinguishes Char from string', () => {
+  assert(equal(new Char('a'), new Char('a')));
+  assert(!equal(new Char('a'), new Char('b')));
+  assert(!equal(new Char('a'), 'a'));
+  assert(!equal({ value: 'a' }, new Char('a')));
+});
+
+test('Char requires exactly one character', () => {
+  assertThrows(() => new Char('ab'));
+});
+
+test('default mode unchanged for single characters', () => {
+  assertEq(parse("'a'"), 'a');
+  assertEq(parse("'a' 'b'"), ['a', 'b']);
+});
+
+// ============== Enclosed Scalars ==============
+console.log('\n--- Enclosed Scalars ---');
+
+test('⊂ parses to Enclosed', () => {
+  const result = parse('⊂1 2 3');
+  assert(result instanceof Enclosed, 'should be Enclosed');
+  assertEq(result.value, [1, 2, 3]);
+});
+
+test('⊂ of a simple scalar is the scalar', () => {
+  assertEq(parse('⊂42'), 42);
+  assertEq(enclose(42), 42);
+  assertEq(parse("⊂'abc'"), new Enclosed('abc'));
+});
+
+test('⊂ of a namespace or ⎕NULL is unchanged', () => {
+  const ns = parse('⊂(a: 1)');
+  assert(!(ns instanceof Enclosed) && ns[_ns], 'namespace');
+  assertEq(depth(ns), 0);
+  const plain = { a: 1 };
+  assert(enclose(plain) === plain, 'plain object');
+  assert(enclose(null) === null, 'null');
+  assert(parse('(⊂(a: 1) ⋄ 2)')[0][_ns], 'in a vector');
+});
+
+test('⊂ of a one-item character vector with charScalars', () => {
+  const opts = { charScalars: true };
+  const result = parse("(⊂('a' ⋄) ⋄ 1)", opts);
+  assertEq(result[0], new Enclosed('a'));
+  assertEq(serialize(result, { ...opts, useDiamond: true }), "(⊂('a' ⋄) ⋄ 1)");
+  assertEq(parse("⊂'a'", opts), new Char('a'));
+  assertEq(enclose('a', opts), new Enclosed('a'));
+  assertEq(enclose('😀'), '😀');
+});
+
+test('enclosed item differs from nested vector item', () => {
+  const enclosed = parse('(⊂1 2 3 ⋄)');
+  const nested = parse('(1 2 3 ⋄)');
+  assertEq(enclosed, [new Enclosed([1, 2, 3])]);
+  assertEq(nested, [[1, 2, 3]]);
+  assert(!equal(enclosed, nested), 'should not be equal');
+});
+
+test('⊂ must start its strand', () => {
+  assertThrows(() => parse('1 ⊂2 3'), AplanSyntaxError);
+  assertEq(parse('1 (⊂2 3)'), [1, new Enclosed([2, 3])]);
+});
+
+test('doubly enclosed', () => {
+  const result = parse('⊂⊂1 2');
+  assertEq(result, new Enclosed(new Enclosed([1, 2])));
+});
+
+test('serialize Enclosed', () => {
+  assertEq(serialize(new Enclosed([1, 2, 3])), '⊂1 2 3');
+  assertEq(serialize(new Enclosed(5)), '5');
+  assertEq(serialize([new Enclosed([1, 2]), 3], { useDiamond: true }), '(⊂1 2 ⋄ 3)');
+});
+
+test('enclosed round-trips', () => {
+  for (const source of ['⊂1 2 3', '(⊂1 2 3 ⋄)', "(x: ⊂'ab' 'cd')", '[1 (⊂2 3) ⋄ 4 5]', '⊂[1 2 ⋄ 3 4]', '⊂⊂⍬']) {
+    const parsed = parse(source);
+    for (const useDiamond of [true, false]) {
+      const reparsed = parse(serialize(parsed, { useDiamond }));
+      assertEq(reparsed, parsed, `round-trip failed for: ${source}`);
+    }
+  }
+});
+
+test('matrix with enclosed items', () => {
+  const result = parse('[1 (⊂2 3) ⋄ 4 5]');
+  assertEq(result._shape, [2, 2]);
+  assertEq(result[0][1], new Enclosed([2, 3]));
+  assertEq(serialize(result, { useDiamond: true }), '[1 (⊂2 3) ⋄ 4 5]');
+});
+
+test('get discloses enclosed values', () => {
+  const value = parse('(1 ⋄ ⊂10 20 30)');
+  assertEq(get(value, 1), new Enclosed([10, 20, 30]));
+  assertEq(get(value, [1, 2]), 30);
+  assertEq(get(new Enclosed([7, 8]), 1), 8);
+});
+
+test('CST Enclose node', () => {
+  const doc = parseCST('(a: ⊂1 2 ⋄ b: 3)');
+  assertEq(doc.find(['a']).type, 'Enclose');
+  assertEq(doc.textOf(doc.find(['a', 1])), '2');
+  doc.set(['a', 1], 5);
+  assertEq(doc.toString(), '(a: ⊂1 5 ⋄ b: 3)');
+});
+
+// ============== APLArray ==============
+console.log('\n--- APLArray ---');
+
+test('aplArray: matrix parses to shape and ravel', () => {
+  const result = parse('[1 2 3 ⋄ 4 5 6]', { aplArray: true });
+  assert(result instanceof APLArray, 'should be APLArray');
+  assertEq(result.shape, [2, 3]);
+  assertEq(result.ravel, [1, 2, 3, 4, 5, 6]);
+  assertEq(result.rank, 2);
+  assertEq(result.tally, 2);
+});
+
+test('aplArray: vectors have shape', () => {
+  const result = parse('(1 ⋄ 2 3)', { aplArray: true });
+  assertEq(result.shape, [2]);
+  assert(result.cell(1) instanceof APLArray, 'nested strand should be APLArray');
+  assertEq(result.cell(1).ravel, [2, 3]);
+});
+
+test('aplArray: strings and zilde stay as they are', () => {
+  assertEq(parse("'abc'", { aplArray: true }), 'abc');
+  assert(parse('⍬', { aplArray: true }) === zilde);
+});
+
+test('aplArray: higher rank from nested brackets', () => {
+  const result = parse('[[1 2 ⋄ 3 4] [5 6 ⋄ 7 8]]', { aplArray: true });
+  assertEq(result.shape, [2, 2, 2]);
+  assertEq(result.ravel, [1, 2, 3, 4, 5, 6, 7, 8]);
+  assertEq(result.cell(1).shape, [2, 2]);
+  assertEq(result.cell(1).ravel, [5, 6, 7, 8]);
+});
+
+test('APLArray iterates major cells', () => {
+  const m = new APLArray([2, 2], [1, 2, 3, 4]);
+  assertEq([...m].map(row => row.ravel), [[1, 2], [3, 4]]);
+  assertEq([...m.values()], [1, 2, 3, 4]);
+  assertEq([...new APLArray([3], ['a', 'b', 'c'])], ['a', 'b', 'c']);
+});
+
+test('APLArray reshape reuses ravel cyclically', () => {
+  const v = new APLArray([3], [1, 2, 3]);
+  const m = v.reshape([2, 4]);
+  assertEq(m.shape, [2, 4]);
+  assertEq(m.ravel, [1, 2, 3, 1, 2, 3, 1, 2]);
+  assertEq(new APLArray([0], []).reshape([2]).ravel, [0, 0]);
+});
+
+test('APLArray map keeps shape', () => {
+  const m = new APLArray([2, 2], [1, 2, 3, 4]).map(n => n * 10);
+  assertEq(m.shape, [2, 2]);
+  assertEq(m.ravel, [10, 20, 30, 40]);
+});
+
+test('APLArray rejects ravel that does not fit shape', () => {
+  assertThrows(() => new APLArray([2, 2], [1, 2, 3]));
+});
+
+test('APLArray toNested and from', () => {
+  const nested = new APLArray([2, 2], [1, 2, 3, 4]).toNested();
+  assertEq(nested._shape, [2, 2]);
+  assertEq(nested, parse('[1 2 ⋄ 3 4]'));
+  const back = APLArray.from(parse('[1 2 ⋄ 3 4]'));
+  assertEq(back.shape, [2, 2]);
+  assertEq(back.ravel, [1, 2, 3, 4]);
+  assertEq(new APLArray([], [5]).toNested(), 5);
+});
+
+test('APLArray type and prototype', () => {
+  assertEq(parse('1 2', { typed: true }).type, 'int32');
+  assertEq(parse('1.5 2', { typed: true }).type, 'float64');
+  assertEq(parse('1 2J3', { aplArray: true }).type, 'numeric');
+  assertEq(new APLArray([0], []).type, 'numeric');
+  assertEq(parse("['ab' ⋄ 'cd']", { aplArray: true }).type, 'char');
+  assertEq(new APLArray([2], [new Char('a'), 'b']).type, 'char');
+  assertEq(new APLArray([2], [1, 'a']).type, 'mixed');
+  assertEq(parse("(1 2 ⋄ 'ab')", { aplArray: true }).type, 'nested');
+  assertEq(new APLArray([1], [new Enclosed([1, 2])]).type, 'nested');
+
+  assertEq(parse('1.5 2', { typed: true }).prototype, 0);
+  assertEq(parse("['ab' ⋄ 'cd']", { aplArray: true }).prototype, ' ');
+  assertEq(new APLArray([0], []).prototype, 0);
+  assertEq(parse("(1 2 ⋄ 'ab')", { aplArray: true }).prototype, [0, 0]);
+});
+
+test('APLArray survives JSON.stringify', () => {
+  const json = JSON.stringify(new APLArray([2, 1], [1, 2]));
+  assertEq(JSON.parse(json), { shape: [2, 1], ravel: [1, 2] });
+});
+
+test('serialize APLArray', () => {
+  assertEq(serialize(new APLArray([2, 2], [1, 2, 3, 4]), { useDiamond: true }), '[1 2 ⋄ 3 4]');
+  assertEq(serialize(new APLArray([3], [1, 2, 3])), '1 2 3');
+  assertEq(serialize(new APLArray([2, 2, 1], [1, 2, 3, 4]), { useDiamond: true }), '[[1 ⋄ 2] ⋄ [3 ⋄ 4]]');
+  assertEq(serialize(new APLArray([2, 3], [...'abcdef']), { useDiamond: true }), "['abc' ⋄ 'def']");
+});
+
+test('aplArray round-trip matches nested parse', () => {
+  for (const source of ['[1 2 ⋄ 3 4 5]', "(1 ⋄ 'ab' ⋄ [1 ⋄ 2])", '[[1 2 ⋄ 3 4] ⋄ 5 6 7]', "(x: 1 2 ⋄ y: ['a' ⋄ 'bc'])"]) {
+    const arrays = parse(source, { aplArray: true });
+    assert(equal(arrays, parse(source)), `should equal nested parse of: ${source}`);
+    const reparsed = parse(serialize(arrays, { useDiamond: true }), { aplArray: true });
+    assert(equal(reparsed, arrays), `round-trip failed for: ${source}`);
+  }
+});
+
+test('get indexes APLArray', () => {
+  const m = parse('[1 2 3 ⋄ 4 5 6]', { aplArray: true });
+  assertEq(get(m, [1, 2]), 6);
+  const v = parse('(0 ⋄ [1 2 ⋄ 3 4])', { aplArray: true });
+  assertEq(get(v, [1, 1, 0]), 3);
+});
+
+// ============== Typed Arrays ==============
+console.log('\n--- Typed Arrays ---');
+
+test('typed: integer matrix uses Int32Array', () => {
+  const result = parse('[1 2 3 ⋄ 4 5 ¯6]', { typed: true });
+  assert(result instanceof APLArray, 'should be APLArray');
+  assert(result.ravel instanceof Int32Array, 'ravel should be Int32Array');
+  assertEq(result.shape, [2, 3]);
+  assertEq(Array.from(result.ravel), [1, 2, 3, 4, 5, -6]);
+});
+
+test('typed: fractional or large numbers use Float64Array', () => {
+  assert(parse('1 2.5 3', { typed: true }).ravel instanceof Float64Array, 'fractions');
+  assert(parse('1 3E10', { typed: true }).ravel instanceof Float64Array, 'beyond 32 bits');
+});
+
+test('typed: mixed arrays keep plain ravels', () => {
+  const result = parse("(1 ⋄ 'a' ⋄ 2 3)", { typed: true });
+  assert(Array.isArray(result.ravel), 'mixed ravel should be a plain array');
+  assert(result.cell(2).ravel instanceof Int32Array, 'numeric item should be typed');
+});
+
+test('typed: padded numeric matrix', () => {
+  const result = parse('[1 ⋄ 2 3 4]', { typed: true });
+  assertEq(Array.from(result.ravel), [1, 0, 0, 2, 3, 4]);
+  assert(result.ravel instanceof Int32Array, 'should be typed');
+});
+
+test('typed: serialize writes rows from the ravel', () => {
+  const result = parse('[1.5 2 ⋄ 3 4]', { typed: true });
+  assertEq(serialize(result, { useDiamond: true }), '[1.5 2 ⋄ 3 4]');
+  assertEq(serialize(parse('1 2 3', { typed: true })), '1 2 3');
+  assertEq(serialize(new APLArray([2, 2, 2], new Int32Array([1, 2, 3, 4, 5, 6, 7, 8])), { useDiamond: true }),
+    '[[1 2 ⋄ 3 4] ⋄ [5 6 ⋄ 7 8]]');
+});
+
+test('typed: equal to nested parse', () => {
+  const source = '[1 2 ⋄ 3 4] ⋄ (5.5 6 ⋄ 7)';
+  assert(equal(parse(`(${source})`, { typed: true }), parse(`(${source})`)));
+});
+
+test('typed: large numeric table', () => {
+  const rows = [];
+  for (let i = 0; i < 20000; i++) rows.push(`${i} ${i / 4} ¯${i}`);
+  const result = parse(`[\n${rows.join('\n')}\n]`, { typed: true });
+  assertEq(result.shape, [20000, 3]);
+  assert(result.ravel instanceof Float64Array, 'should be Float64Array');
+  assertEq(get(result, [19999, 1]), 4999.75);
+  const reparsed = parse(serialize(result), { typed: true });
+  assertEq(reparsed.shape, [20000, 3]);
+  assertEq(reparsed.ravel[59999], -19999);
+});
+
+// ============== BigInt ==============
+console.log('\n--- BigInt ---');
+
+test('bigint: unsafe integers become BigInt', () => {
+  const result = parse('12345678901234567890 ¯9007199254740993 42', { bigint: true });
+  assertEq(result[0], 12345678901234567890n);
+  assertEq(result[1], -9007199254740993n);
+  assertEq(result[2], 42);
+});
+
+test('bigint: off by default', () => {
+  assertEq(typeof parse('12345678901234567890'), 'number');
+});
+
+test('bigint: floats and exponents stay numbers', () => {
+  assertEq(parse('1E20', { bigint: true }), 1e20);
+  assertEq(parse('12345678901234567890.5', { bigint: true }), 12345678901234567890.5);
+});
+
+test('bigint: always', () => {
+  assertEq(parse('42', { bigint: 'always' }), 42n);
+  assertEq(parse('(1 ⋄ 2.5 ⋄ 3J4)', { bigint: 'always' }), [1n, 2.5, new Complex(3, 4)]);
+});
+
+test('bigint: padded matrix uses 0n', () => {
+  const result = parse('[1 2 ⋄ 3]', { bigint: 'always' });
+  assertEq(result[1], [3n, 0n]);
+});
+
+test('bigint: serialize', () => {
+  assertEq(serialize(12345678901234567890n), '12345678901234567890');
+  assertEq(serialize(-5n), '¯5');
+  assertEq(serialize([1n, 2n, 3n]), '1 2 3');
+  assertEq(serialize({ id: -9007199254740993n }), '(\n id: ¯9007199254740993\n)');
+});
+
+test('bigint: identifiers round-trip exactly', () => {
+  const source = '(ids: 12345678901234567890 18446744073709551615 ⋄ matrix: [9007199254740993 1 ⋄ 2 3])';
+  const value = parse(source, { bigint: true });
+  assertEq(serialize(value, { useDiamond: true }), source);
+  assert(equal(parse(serialize(value), { bigint: true }), value));
+});
+
+test('bigint: not equal to a number', () => {
+  assert(!equal(1n, 1));
+});
+
+// ============== Decimals ==============
+console.log('\n--- Decimals ---');
+
+test('decimal: literals become Decimal', () => {
+  const result = parse('0.1 0.2 ¯1.50', { decimal: true });
+  assert(result.every(n => n instanceof Decimal), 'should be Decimals');
+  assertEq(result[2].text, '¯1.50');
+  assertEq(result[2].toString(), '-1.50');
+});
+
+test('decimal: serialize emits the literal unchanged', () => {
+  const source = '(0.1 0.2 ⋄ 1.50 ⋄ ¯2.5E¯3 ⋄ 12345678901234567890.123456789)';
+  assertEq(serialize(parse(source, { decimal: true }), { useDiamond: true }), source);
+});
+
+test('decimal: complex numbers stay floats', () => {
+  assertEq(parse('3J4', { decimal: true }), new Complex(3, 4));
+});
+
+test('decimal: equal compares exact values', () => {
+  assert(equal(new Decimal('1.50'), new Decimal('15E¯1')), '1.50 = 15E¯1');
+  assert(equal(new Decimal('0'), new Decimal('-0.00')), '0 = -0.00');
+  assert(!equal(new Decimal('0.1'), new Decimal('0.10000000000000001')), 'no float rounding');
+  assert(!equal(new Decimal('1'), 1), 'Decimal is not a number');
+});
+
+test('decimal: constructed from JS values', () => {
+  assertEq(new Decimal(0.1).text, '0.1');
+  assertEq(new Decimal(-1e-7).text, '¯1E¯7');
+  assertEq(new Decimal('2.5').toNumber(), 2.5);
+  assertEq(JSON.stringify([new Decimal('¯1.50')]), '["-1.50"]');
+});
+
+test('decimal: invalid input throws', () => {
+  assertThrows(() => new Decimal('abc'));
+});
+
+test('decimal: padded matrix', () => {
+  const result = parse('[1.0 2 ⋄ 3]', { decimal: true });
+  assertEq(serialize(result, { useDiamond: true }), '[1.0 2 ⋄ 3 0]');
+});
+
+// ============== Print Precision ==============
+console.log('\n--- Print Precision ---');
+
+test('precision: default is shortest round-trip', () => {
+  assertEq(serialize(0.1 + 0.2), '0.30000000000000004');
+  assertEq(parse(serialize(1 / 3)), 1 / 3);
+  assertEq(serialize(1.2345678901234568e20), '1.2345678901234568E20');
+});
+
+test('precision: pp rounds to significant digits', () => {
+  assertEq(serialize(0.1 + 0.2, { pp: 10 }), '0.3');
+  assertEq(serialize(1 / 3, { pp: 5 }), '0.33333');
+  assertEq(serialize(2 / 3, { pp: 3 }), '0.667');
+  assertEq(serialize(1234.5, { pp: 3 }), '1.23E3');
+  assertEq(serialize([0.1 + 0.2, 1 / 3], { pp: 4 }), '0.3 0.3333');
+});
+
+test('precision: integers are written in full', () => {
+  assertEq(serialize(123456789, { pp: 3 }), '123456789');
+  assertEq(serialize(-9007199254740991, { pp: 10 }), '¯9007199254740991');
+});
+
+test('precision: auto exponent like ⎕PP', () => {
+  assertEq(serialize(0.00001), '0.00001');
+  assertEq(serialize(0.000001), '1E¯6');
+  assertEq(serialize(-2.5e-7), '¯2.5E¯7');
+  assertEq(serialize(1e16), '10000000000000000');
+  assertEq(serialize(1e17), '1E17');
+  assertEq(serialize(1e16, { pp: 10 }), '1E16');
+});
+
+test('precision: exponential never and always', () => {
+  assertEq(serialize(1e21, { exponential: 'never' }), '1000000000000000000000');
+  assertEq(serialize(1.5e-7, { exponential: 'never' }), '0.00000015');
+  assertEq(serialize(1234.5, { exponential: 'always' }), '1.2345E3');
+  assertEq(serialize(5, { exponential: 'always' }), '5E0');
+  assertEq(serialize(-0.025, { exponential: 'always' }), '¯2.5E¯2');
+});
+
+test('precision: applies to complex parts', () => {
+  assertEq(serialize(new Complex(0.1 + 0.2, -1e-7), { pp: 5 }), '0.3J¯1E¯7');
+});
+
+test('precision: invalid options throw', () => {
+  for (const options of [{ pp: 0 }, { pp: 18 }, { pp: 2.5 }, { exponential: 'sometimes' }]) {
+    assertThrows(() => serialize(1, options));
+  }
+});
+
+// ============== Complex Numbers ==============
+console.log('\n--- Complex Numbers ---');
+
+test('complex: parse returns Complex', () => {
+  const result = parse('1.5J¯2');
+  assert(result instanceof Complex, 'should be Complex');
+  assertEq(result.re, 1.5);
+  assertEq(result.im, -2);
+});
+
+test('complex: zero imaginary part parses as real', () => {
+  assertEq(parse('3J0'), 3);
+  assertEq(typeof parse('3J0'), 'number');
+});
+
+test('complex: zero imaginary part equals and serializes as real', () => {
+  assert(equal(new Complex(3, 0), 3), 'Complex(3, 0) = 3');
+  assert(equal(3, new Complex(3)), '3 = Complex(3)');
+  assert(!equal(new Complex(3, 1), 3), 'Complex(3, 1) ≠ 3');
+  assertEq(serialize(new Complex(3, 0)), '3');
+});
+
+test('complex: arithmetic', () => {
+  const z = new Complex(3, 4);
+  assertEq(z.add(new Complex(1, -1)), new Complex(4, 3));
+  assertEq(z.add(2), new Complex(5, 4));
+  assertEq(z.mul(new Complex(1, 2)), new Complex(-5, 10));
+  assertEq(z.mul(z.conj()), 25);
+  assertEq(z.abs(), 5);
+  assertEq(z.conj(), new Complex(3, -4));
+});
+
+test('complex: toString and JSON', () => {
+  assertEq(new Complex(-2, -3.5).toString(), '¯2J¯3.5');
+  assertEq(JSON.stringify(new Complex(3, 4)), '{"re":3,"im":4}');
+});
+
+test('complex: strands and matrices', () => {
+  assertEq(serialize(parse('1 3J4 ¯2J1')), '1 3J4 ¯2J1');
+  const m = parse('[1J1 2 ⋄ 3]');
+  assertEq(m[1], [3, 0]);
+  assertEq(serialize(m, { useDiamond: true }), '[1J1 2 ⋄ 3 0]');
+});
+
+test('complex: namespace with re and im stays a namespace', () => {
+  const result = parse('(re: 1 ⋄ im: 2)');
+  assert(!(result instanceof Complex), 'should not be Complex');
+  assertEq(serialize(result, { useDiamond: true }), '(re: 1 ⋄ im: 2)');
+  assertEq(serialize({ re: 3, im: 4 }, { useDiamond: true }), '(re: 3 ⋄ im: 4)');
+  assert(!equal(result, new Complex(1, 2)), 'namespace ≠ Complex');
+});
+
+// ============== Tolerant Comparison ==============
+console.log('\n--- Tolerant Comparison ---');
+
+test('equal: exact by default', () => {
+  assert(!equal(0.1 + 0.2, 0.3), 'last-bit difference');
+  assert(equal(NaN, NaN), 'NaN matches NaN');
+});
+
+test('equal: ct tolerates relative differences', () => {
+  assert(equal(0.1 + 0.2, 0.3, { ct: 1e-14 }), '0.1+0.2 = 0.3');
+  assert(equal([1, 2.0000000000001], [1, 2], { ct: 1e-13 }), 'inside vectors');
+  assert(!equal(1.001, 1, { ct: 1e-14 }), '1.001 ≠ 1');
+  assert(!equal(1e-20, 0, { ct: 1e-14 }), 'nothing is tolerantly equal to 0 but 0');
+});
+
+test('equal: ct applies to complex numbers', () => {
+  assert(equal(new Complex(3, 4), new Complex(3, 4 + 1e-15), { ct: 1e-14 }), 'near complex');
+  assert(equal(new Complex(3, 1e-15), 3, { ct: 1e-14 }), 'near real');
+  assert(!equal(new Complex(3, 4), new Complex(3, 4.1), { ct: 1e-14 }), 'far complex');
+});
+
+test('equal: ct in nested values', () => {
+  const a = { data: [[0.1 + 0.2, 1], [2, 3]], name: 'x' };
+  const b = { data: [[0.3, 1], [2, 3]], name: 'x' };
+  assert(equal(a, b, { ct: 1e-14 }), 'namespace with matrix');
+  assert(equal(new APLArray([2], [0.1 + 0.2, 1]), [0.3, 1], { ct: 1e-14 }), 'APLArray');
+  assert(equal(new Enclosed([0.1 + 0.2]), new Enclosed([0.3]), { ct: 1e-14 }), 'Enclosed');
+});
+
+test('equal: mixedNumbers', () => {
+  assert(!equal(1n, 1), 'BigInt ≠ number by default');
+  assert(equal(1n, 1, { mixedNumbers: true }), 'BigInt = number');
+  assert(equal(new Decimal('0.10'), 0.1, { mixedNumbers: true }), 'Decimal = number');
+  assert(equal(new Decimal('12345678901234567890'), 12345678901234567890n, { mixedNumbers: true }), 'Decimal = BigInt');
+  assert(!equal(new Decimal('12345678901234567891'), 12345678901234567890n, { mixedNumbers: true }), 'exact for BigInt');
+  assert(equal(new Decimal('0.3'), 0.1 + 0.2, { mixedNumbers: true, ct: 1e-14 }), 'with ct');
+});
+
+test('equal: zildeIsEmpty', () => {
+  assert(equal(zilde, []), 'zilde = [] by default');
+  assert(!equal(zilde, [], { zildeIsEmpty: false }), 'zilde ≠ []');
+  assert(equal(zilde, parse('⍬'), { zildeIsEmpty: false }), 'zilde = zilde');
+  assert(equal([[], 1], [zilde, 1]), 'nested');
+});
+
+test('equal: charIsString', () => {
+  assert(!equal(new Char('a'), 'a'), 'Char ≠ string by default');
+  assert(equal(new Char('a'), 'a', { charIsString: true }), 'Char = string');
+  assert(equal(['b', new Char('a')], [new Char('b'), 'a'], { charIsString: true }), 'in vectors');
+  assert(!equal(new Char('a'), 'ab', { charIsString: true }), 'longer string');
+});
+
+test('equal: matrices are not nested vectors', () => {
+  assert(!equal(parse('[1 2 ⋄ 3 4]'), [[1, 2], [3, 4]]), 'matrix ≠ vector of vectors');
+  assert(!equal([[1, 2], [3, 4]], parse('[1 2 ⋄ 3 4]')), 'either way round');
+  assert(!equal(parse('1 2'), parse('[1 ⋄ 2]')), 'vector ≠ one-column matrix');
+  assert(equal(parse('[1 2 ⋄ 3 4]'), new APLArray([2, 2], [1, 2, 3, 4])), 'matrix = APLArray');
+});
+
+// ============== Diff ==============
+console.log('\n--- Diff ---');
+
+test('diff: equal values have no changes', () => {
+  const source = "(name: 'x' ⋄ grid: [1 2 ⋄ 3 4] ⋄ list: (1 ⋄ 'a'))";
+  assertEq(diff(parse(source), parse(source)), []);
+});
+
+test('diff: scalar replace at the root', () => {
+  assertEq(diff(1, 2), [{ op: 'replace', path: [], value: 2, oldValue: 1 }]);
+});
+
+test('diff: namespace members', () => {
+  const changes = diff(parse('(a: 1 ⋄ b: 2)'), parse('(b: 3 ⋄ c: 4)'));
+  assertEq(changes, [
+    { op: 'remove', path: ['a'], oldValue: 1 },
+    { op: 'replace', path: ['b'], value: 3, oldValue: 2 },
+    { op: 'add', path: ['c'], value: 4 },
+  ]);
+});
+
+test('diff: vector items', () => {
+  assertEq(diff([1, 2, 3], [1, 5]), [
+    { op: 'replace', path: [1], value: 5, oldValue: 2 },
+    { op: 'remove', path: [2], oldValue: 3 },
+  ]);
+  assertEq(diff([1], [1, 2, 3]), [
+    { op: 'add', path: [1], value: 2 },
+    { op: 'add', path: [2], value: 3 },
+  ]);
+  assertEq(diff([1, 2, 3], [1]).map(c => c.path), [[2], [1]]);
+});
+
+test('diff: matrix cells', () => {
+  const changes = diff(parse('[1 2 ⋄ 3 4]'), parse('[1 2 ⋄ 0 4]'));
+  assertEq(changes, [{ op: 'replace', path: [[1, 0]], value: 0, oldValue: 3 }]);
+});
+
+test('diff: matrix shape change', () => {
+  const [change, ...rest] = diff(parse('(t: [1 2 ⋄ 3 4])'), parse('(t: [1 2 3 ⋄ 4 5 6])'));
+  assertEq(rest, []);
+  assertEq(change.op, 'replace');
+  assertEq(change.path, ['t']);
+  assertEq(change.oldShape, [2, 2]);
+  assertEq(change.shape, [2, 3]);
+});
+
+test('diff: APLArray against nested', () => {
+  const a = parse('[1 2 ⋄ 3 4]', { aplArray: true });
+  assertEq(diff(a, parse('[1 2 ⋄ 3 4]')), []);
+  assertEq(diff(a, parse('[1 9 ⋄ 3 4]')).map(c => c.path), [[[0, 1]]]);
+});
+
+test('diff: rank-1 APLArrays add and remove items', () => {
+  const opts = { aplArray: true, typed: true };
+  const a = parse('1 2 3', opts);
+  const b = parse('1 5', opts);
+  assertEq(diff(a, b), [
+    { op: 'replace', path: [1], value: 5, oldValue: 2 },
+    { op: 'remove', path: [2], oldValue: 3 },
+  ]);
+  assertEq(diff(b, a).map(c => c.op), ['replace', 'add']);
+  assertEq(diff(a, [1, 2, 3, 4]), [{ op: 'add', path: [3], value: 4 }]);
+  for (const [x, y] of [[a, b], [b, a]]) {
+    const result = patch(x, diff(x, y));
+    assert(result instanceof APLArray, 'patched APLArray');
+    assertEq(Array.from(result.ravel), Array.from(y.ravel));
+  }
+});
+
+test('diff: matrix against nested vectors', () => {
+  const matrix = parse('[1 2 ⋄ 3 4]');
+  const nested = [[1, 2], [3, 4]];
+  for (const [a, b] of [[matrix, nested], [nested, matrix], [parse('1 2'), parse('[1 ⋄ 2]')]]) {
+    const changes = diff(a, b);
+    assertEq(changes.length, 1);
+    assertEq(changes[0].op, 'replace');
+    assertEq(changes[0].shape, shape(b));
+    assertEq(changes[0].oldShape, shape(a));
+    const result = patch(a, changes);
+    assertEq(result, b);
+    assertEq(shape(result), shape(b));
+  }
+});
+
+test('diff: nested paths step through ⊂', () => {
+  const changes = diff(parse('(cfg: (tables: (⊂1 2 ⋄ [1 2 ⋄ 3 4])))'), parse('(cfg: (tables: (⊂1 3 ⋄ [1 2 ⋄ 3 5])))'));
+  assertEq(changes.map(c => formatPath(c.path)), ['cfg.tables[0][1]', 'cfg.tables[1][1;1]']);
+});
+
+test('diff: type changes replace', () => {
+  assertEq(diff({ a: [1, 2] }, { a: 'xy' }), [{ op: 'replace', path: ['a'], value: 'xy', oldValue: [1, 2] }]);
+  assertEq(diff([1], { x: 1 }).length, 1);
+});
+
+test('diff: takes equal options', () => {
+  assertEq(diff([0.1 + 0.2], [0.3]).length, 1);
+  assertEq(diff([0.1 + 0.2], [0.3], { ct: 1e-14 }), []);
+});
+
+test('formatPath', () => {
+  assertEq(formatPath([]), '');
+  assertEq(formatPath(['config', 'tables', 2, [1, 2], 'name']), 'config.tables[2][1;2].name');
+  assertEq(formatPath([0, 'x']), '[0].x');
+});
+
+// ============== Patch ==============
+console.log('\n--- Patch ---');
+
+test('patch: applies diff', () => {
+  const pairs = [
+    ["(name: 'x' ⋄ grid: [1 2 ⋄ 3 4] ⋄ list: 1 2 3 ⋄ old: 1 ⋄ e: ⊂1 2)", "(name: 'y' ⋄ grid: [1 2 ⋄ 3 5] ⋄ list: 1 9 ⋄ new: 2 ⋄ e: ⊂1 3)"],
+    ['1 2', '(1 ⋄ 2 ⋄ (3 ⋄ 4) ⋄ 5)'],
+    ['(t: [1 2 ⋄ 3 4])', '(t: [1 2 3 ⋄ 4 5 6])'],
+    ['1', "'x'"],
+  ];
+  for (const [x, y] of pairs) {
+    for (const options of [{}, { aplArray: true }, { typed: true }]) {
+      const a = parse(x, options);
+      const b = parse(y, options);
+      assert(equal(patch(a, diff(a, b)), b), `${x} → ${y} with ${JSON.stringify(options)}`);
+    }
+  }
+});
+
+test('patch: does not modify the input', () => {
+  const value = parse('(grid: [1 2 ⋄ 3 4] ⋄ list: 1 2 3 ⋄ ns: (a: 1))');
+  const before = serialize(value);
+  const result = patch(value, [
+    { op: 'replace', path: ['grid', [0, 0]], value: 9 },
+    { op: 'remove', path: ['list', 0] },
+    { op: 'add', path: ['ns', 'b'], value: 2 },
+  ]);
+  assertEq(serialize(value), before);
+  assertEq(serialize(result, { useDiamond: true }), '(grid: [9 2 ⋄ 3 4] ⋄ list: 2 3 ⋄ ns: (a: 1 ⋄ b: 2))');
+  assertEq(result.grid._shape, [2, 2]);
+  assert(result.ns[_ns], 'namespace marker kept');
+});
+
+test('patch: vector add inserts, remove shifts', () => {
+  assertEq(patch([1, 2, 3], [{ op: 'add', path: [1], value: 9 }]), [1, 9, 2, 3]);
+  assertEq(patch([1, 2, 3], [{ op: 'add', path: [3], value: 4 }]), [1, 2, 3, 4]);
+  assertEq(patch([1, 2, 3], [{ op: 'remove', path: [0] }]), [2, 3]);
+  assertEq(patch(zilde, [{ op: 'add', path: [0], value: 1 }]), [1]);
+});
+
+test('patch: APLArray cells keep the typed ravel', () => {
+  const value = parse('[1 2 ⋄ 3 4]', { typed: true });
+  const result = patch(value, [{ op: 'replace', path: [[1, 1]], value: 2.5 }]);
+  assert(result.ravel instanceof Float64Array, 'should be Float64Array');
+  assertEq(Array.from(result.ravel), [1, 2, 3, 2.5]);
+  assert(value.ravel instanceof Int32Array && value.ravel[3] === 4, 'input untouched');
+});
+
+test('patch: root operations', () => {
+  assertEq(patch(1, [{ op: 'replace', path: [], value: 2 }]), 2);
+  assertEq(patch(1, [{ op: 'test', path: [], value: 1 }]), 1);
+  assertEq(assertThrows(() => patch(1, [{ op: 'remove', path: [] }]), AplanPatchError).reason, 'Cannot remove the root');
+});
+
+test('patch: test operation', () => {
+  const value = parse('(a: 1 2)');
+  assertEq(patch(value, [{ op: 'test', path: ['a'], value: [1, 2] }]), value);
+  const e = assertThrows(() => patch(value, [{ op: 'test', path: ['a', 1], value: 3 }]), AplanPatchError);
+  assertEq(e.message, 'Test failed: value differs at a[1] (operation 0: test)');
+});
+
+test('patch: matrix shape is fixed', () => {
+  const value = parse('(grid: [1 2 ⋄ 3 4])');
+  const add = assertThrows(() => patch(value, [{ op: 'add', path: ['grid', [0, 2]], value: 5 }]), AplanPatchError);
+  assertEq(add.path, ['grid', [0, 2]]);
+  assertEq(add.reason, 'Cannot add a cell of an array of rank 2; replace the whole array to change its shape');
+  assertThrows(() => patch(value, [{ op: 'remove', path: ['grid', [0, 0]] }]), AplanPatchError);
+  assertThrows(() => patch(value, [{ op: 'replace', path: ['grid', 1], value: 5 }]), AplanPatchError);
+  const bounds = assertThrows(() => patch(value, [{ op: 'replace', path: ['grid', [2, 0]], value: 5 }]), AplanPatchError);
+  assertEq(bounds.reason, 'Index 2 out of bounds for axis 0 with size 2');
+});
+
+test('patch: rank-1 APLArrays are vectors', () => {
+  const value = parse('(v: 1 2 3)', { typed: true });
+  const added = patch(value, [{ op: 'add', path: ['v', 1], value: 9 }]);
+  assert(added.v instanceof APLArray && added.v.ravel instanceof Int32Array, 'typed APLArray');
+  assertEq(added.v.shape, [4]);
+  assertEq(Array.from(added.v.ravel), [1, 9, 2, 3]);
+  const removed = patch(value, [{ op: 'remove', path: ['v', 0] }]);
+  assertEq(Array.from(removed.v.ravel), [2, 3]);
+  assertEq(Array.from(value.v.ravel), [1, 2, 3]);
+  const bounds = assertThrows(() => patch(value, [{ op: 'remove', path: ['v', 3] }]), AplanPatchError);
+  assertEq(bounds.reason, 'Index 3 out of bounds for vector of length 3');
+  const grid = assertThrows(() => patch(parse('[1 2 ⋄ 3 4]', { aplArray: true }), [{ op: 'remove', path: [[0, 0]] }]), AplanPatchError);
+  assertEq(grid.reason, 'Cannot remove a cell of an array of rank 2; replace the whole array to change its shape');
+});
+
+test('patch: declared shapes are checked', () => {
+  const value = parse('(grid: [1 2 ⋄ 3 4])');
+  const grid = parse('[1 2 3 ⋄ 4 5 6]');
+  patch(value, [{ op: 'replace', path: ['grid'], value: grid, shape: [2, 3], oldShape: [2, 2] }]);
+  assertThrows(() => patch(value, [{ op: 'replace', path: ['grid'], value: grid, shape: [3, 2] }]), AplanPatchError);
+  assertThrows(() => patch(value, [{ op: 'replace', path: ['grid'], value: grid, oldShape: [3, 3] }]), AplanPatchError);
+});
+
+test('patch: precise errors', () => {
+  const value = parse('(list: 1 2 3 ⋄ name: \'x\')');
+  const e = assertThrows(() => patch(value, [
+    { op: 'replace', path: ['list', 0], value: 0 },
+    { op: 'replace', path: ['list', 5], value: 0 },
+  ]), AplanPatchError);
+  assertEq(e.index, 1);
+  assertEq(e.path, ['list', 5]);
+  assertEq(e.message, 'Index 5 out of bounds for vector of length 3 at list[5] (operation 1: replace)');
+  assertEq(assertThrows(() => patch(value, [{ op: 'remove', path: ['nope'] }]), AplanPatchError).reason, 'No member nope');
+  assertEq(assertThrows(() => patch(value, [{ op: 'replace', path: ['name', 0], value: 'y' }]), AplanPatchError).reason, 'Cannot index into string');
+  assertEq(assertThrows(() => patch(value, [{ op: 'move', path: ['list'] }]), AplanPatchError).reason, 'Unknown operation "move"');
+});
+
+// ============== Query ==============
+console.log('\n--- Query ---');
+
+const queryData = parse(`(
+ config: (
+  tables: (
+   (name: 'users' ⋄ cols: [1 2 ⋄ 3 4])
+   (name: 'items' ⋄ cols: [5 6 ⋄ 7 8])
+   (name: 'tags' ⋄ cols: ⊂9 10)
+  )
+ )
+)`);
+const queryValues = (path) => query(queryData, path).map(m => m.value);
+const queryPaths = (path) => query(queryData, path).map(m => formatPath(m.path));
+
+test('query: member and index path', () => {
+  assertEq(query(queryData, 'config.tables[2].name'), [{ path: ['config', 'tables', 2, 'name'], value: 'tags' }]);
+});
+
+test('query: empty path matches the root', () => {
+  assertEq(query(42, ''), [{ path: [], value: 42 }]);
+});
+
+test('query: wildcards', () => {
+  assertEq(queryValues('config.tables[*].name'), ['users', 'items', 'tags']);
+  assertEq(queryPaths('config.*'), ['config.tables']);
+  assertEq(queryPaths('*.tables[1].*'), ['config.tables[1].name', 'config.tables[1].cols']);
+});
+
+test('query: matrix cells, rows and columns', () => {
+  assertEq(queryValues('config.tables[0].cols[1;0]'), [3]);
+  assertEq(queryValues('config.tables[0].cols[1;]'), [3, 4]);
+  assertEq(queryValues('config.tables[0].cols[;1]'), [2, 4]);
+  assertEq(queryValues('config.tables[0].cols[*;*]'), [1, 2, 3, 4]);
+  assertEq(queryPaths('config.tables[*].cols[;0]'), [
+    'config.tables[0].cols[0;0]', 'config.tables[0].cols[1;0]',
+    'config.tables[1].cols[0;0]', 'config.tables[1].cols[1;0]',
+  ]);
+});
+
+test('query: steps through ⊂', () => {
+  assertEq(queryValues('config.tables[2].cols[1]'), [10]);
+});
+
+test('query: APLArray', () => {
+  const value = parse('(m: [1 2 ⋄ 3 4] ⋄ v: 5 6)', { aplArray: true });
+  assertEq(query(value, 'm[;1]').map(m => m.value), [2, 4]);
+  assertEq(query(value, 'v[*]').map(m => m.path), [['v', 0], ['v', 1]]);
+});
+
+test('query: missing parts match nothing', () => {
+  assertEq(query(queryData, 'config.nope'), []);
+  assertEq(query(queryData, 'config.tables[9]'), []);
+  assertEq(query(queryData, 'config.tables[0].cols[5;]'), []);
+  assertEq(query(queryData, 'config.tables[0].name[0]'), []);
+  assertEq(query(queryData, 'config.tables[0].cols[1]'), []);
+});
+
+test('query: paths feed patch', () => {
+  const ops = query(queryData, 'config.tables[*].name')
+    .map(m => ({ op: 'replace', path: m.path, value: m.value.toUpperCase() }));
+  assertEq(query(patch(queryData, ops), 'config.tables[*].name').map(m => m.value), ['USERS', 'ITEMS', 'TAGS']);
+});
+
+test('query: step arrays', () => {
+  assertEq(query(queryData, ['config', 'tables', null, 'name']).length, 3);
+});
+
+test('parsePath', () => {
+  assertEq(parsePath('config.tables[*][;0][1;2]'), ['config', 'tables', null, [null, 0], [1, 2]]);
+  assertEq(parsePath('[0].x'), [0, 'x']);
+  assertEq(parsePath(''), []);
+  assertEq(parsePath(formatPath(['a', 2, [1, 0], 'b'])), ['a', 2, [1, 0], 'b']);
+});
+
+test('parsePath: syntax errors', () => {
+  for (const [path, column] of [['a..b', 3], ['a[1', 4], ['a[]', 3], ['a b', 2]]) {
+    assertEq(assertThrows(() => parsePath(path), AplanSyntaxError).column, column);
+  }
+});
+
+// ============== Array Helpers ==============
+console.log('\n--- Array Helpers ---');
+
+const helperMatrix = () => parse('[1 2 3 ⋄ 4 5 6]');
+const flat = (value) => serialize(value, { useDiamond: true });
+
+test('reshape', () => {
+  const result = reshape([3, 2], helperMatrix());
+  assertEq(result._shape, [3, 2]);
+  assertEq(flat(result), '[1 2 ⋄ 3 4 ⋄ 5 6]');
+  assertEq(reshape(5, [1, 2]), [1, 2, 1, 2, 1]);
+  assertEq(flat(reshape([2, 2], [])), '[0 0 ⋄ 0 0]');
+  assertEq(reshape([], [7, 8]), 7);
+});
+
+test('reshape: errors', () => {
+  assertThrows(() => reshape([-1], [1]));
+});
+
+test('ravel', () => {
+  assertEq(ravel(helperMatrix()), [1, 2, 3, 4, 5, 6]);
+  assertEq(ravel(5), [5]);
+  assertEq(ravel('abc'), 'abc');
+});
+
+test('ravel: character matrices give strings', () => {
+  assertEq(ravel(parse("['ab' ⋄ 'cd']")), 'abcd');
+  assertEq(ravel(parse("['ab' ⋄ 'cd']", { charScalars: true })), 'abcd');
+  assertEq(ravel(parse("['a' ⋄ 2]")), ['a', 2]);
+  assertEq(reshape(3, ['a', 'b']), 'aba');
+});
+
+test('transpose', () => {
+  const result = transpose(helperMatrix());
+  assertEq(result._shape, [3, 2]);
+  assertEq(flat(result), '[1 4 ⋄ 2 5 ⋄ 3 6]');
+  assertEq(transpose([1, 2]), [1, 2]);
+  assertEq(flat(transpose(parse('[[1 2 ⋄ 3 4] ⋄ [5 6 ⋄ 7 8]]'))), '[[1 5 ⋄ 3 7] ⋄ [2 6 ⋄ 4 8]]');
+});
+
+test('take', () => {
+  assertEq(take(2, [1, 2, 3]), [1, 2]);
+  assertEq(take(-2, [1, 2, 3]), [2, 3]);
+  assertEq(take(5, [1, 2, 3]), [1, 2, 3, 0, 0]);
+  assertEq(take(5, 'abc'), 'abc  ');
+  assertEq(take(2, 7), [7, 0]);
+  assertEq(flat(take(1, helperMatrix())), '[1 2 3 ⋄]');
+  assertEq(flat(take([3, -4], helperMatrix())), '[0 1 2 3 ⋄ 0 4 5 6 ⋄ 0 0 0 0]');
+});
+
+test('take: pads with the prototype of nested items', () => {
+  assertEq(take(3, [[1, 'ab'], [2, 'cd']]), [[1, 'ab'], [2, 'cd'], [0, '  ']]);
+});
+
+test('drop', () => {
+  assertEq(drop(1, [1, 2, 3]), [2, 3]);
+  assertEq(drop(-1, 'hello'), 'hell');
+  assertEq(drop(5, [1, 2]), []);
+  assertEq(flat(drop([1, 1], helperMatrix())), '[5 6 ⋄]');
+  assertEq(flat(drop([0, 2], helperMatrix())), '[3 ⋄ 6]');
+});
+
+test('take and drop: rank errors', () => {
+  assertThrows(() => take([1, 1, 1], helperMatrix()), /^Rank error/);
+});
+
+test('catenate', () => {
+  assertEq(catenate([1, 2], [3]), [1, 2, 3]);
+  assertEq(catenate(1, 2), [1, 2]);
+  assertEq(catenate('ab', 'cd'), 'abcd');
+  assertEq(flat(catenate(helperMatrix(), [7, 8])), '[1 2 3 7 ⋄ 4 5 6 8]');
+  assertEq(flat(catenate(helperMatrix(), 0)), '[1 2 3 0 ⋄ 4 5 6 0]');
+  assertEq(flat(catenate(helperMatrix(), [7, 8, 9], 0)), '[1 2 3 ⋄ 4 5 6 ⋄ 7 8 9]');
+  assertEq(catenate(helperMatrix(), helperMatrix(), 0)._shape, [4, 3]);
+});
+
+test('catenate: length errors', () => {
+  assertThrows(() => catenate(helperMatrix(), [1, 2, 3]), /^Length error/);
+});
+
+test('laminate', () => {
+  assertEq(flat(laminate([1, 2], [3, 4])), '[1 2 ⋄ 3 4]');
+  assertEq(flat(laminate([1, 2], [3, 4], 1)), '[1 3 ⋄ 2 4]');
+  assertEq(laminate(helperMatrix(), 0)._shape, [2, 2, 3]);
+  assertThrows(() => laminate([1], [1, 2]), /^Length error/);
+});
+
+test('helpers keep APLArray and typed ravels', () => {
+  const m = parse('[1 2 ⋄ 3 4]', { typed: true });
+  const t = transpose(m);
+  assert(t instanceof APLArray && t.ravel instanceof Int32Array, 'typed transpose');
+  assertEq(Array.from(t.ravel), [1, 3, 2, 4]);
+  assertEq(catenate(m, m).shape, [2, 4]);
+  assertEq(take([1], m).shape, [1, 2]);
+});
+
+test('helpers: results round-trip through serialize', () => {
+  const m = helperMatrix();
+  for (const value of [reshape([2, 2, 2], m), transpose(m), take([-3, 2], m), laminate(m, m, 2)]) {
+    assert(equal(parse(serialize(value)), value), serialize(value, { useDiamond: true }));
+  }
+});
+
+// ============== Shape API ==============
+console.log('\n--- Shape API ---');
+
+test('shape and rank', () => {
+  assertEq(shape(42), []);
+  assertEq(shape('abc'), [3]);
+  assertEq(shape('a'), []);
+  assertEq(shape('a', { charScalars: true }), [1]);
+  assertEq(shape(new Char('a')), []);
+  assertEq(shape(zilde), [0]);
+  assertEq(shape(''), [0]);
+  assertEq(shape(new Complex(3, 4)), []);
+  assertEq(shape(parse('(x: 1 2 3)')), []);
+  assertEq(shape(parse('(1 2 ⋄ 3 4 5)')), [2]);
+  assertEq(shape(parse('[1 2 ⋄ 3 4 ⋄ 5 6]')), [3, 2]);
+  assertEq(shape(parse('[1 2 ⋄ 3 4]', { aplArray: true })), [2, 2]);
+  assertEq(shape(parse('⊂1 2 3')), []);
+  assertEq(rank(parse('[[1 2 ⋄ 3 4] ⋄ [5 6 ⋄ 7 8]]')), 3);
+  assertEq(rank(zilde), 1);
+});
+
+test('tally', () => {
+  assertEq(tally(42), 1);
+  assertEq(tally(zilde), 0);
+  assertEq(tally('hello'), 5);
+  assertEq(tally(parse('[1 2 ⋄ 3 4 ⋄ 5 6]')), 3);
+  assertEq(tally(parse('(x: 1 ⋄ y: 2)')), 1);
+});
+
+test('depth', () => {
+  assertEq(depth(42), 0);
+  assertEq(depth(parse('(x: 1 2)')), 0);
+  assertEq(depth('abc'), 1);
+  assertEq(depth(zilde), 1);
+  assertEq(depth([1, 2, 3]), 1);
+  assertEq(depth(parse('[1 2 ⋄ 3 4]')), 1);
+  assertEq(depth(parse("('ab' ⋄ 'cd')")), 2);
+  assertEq(depth(parse('⊂1 2 3')), 2);
+  assertEq(depth(parse('(⊂1 2 ⋄ ⊂3 4)')), 3);
+});
+
+test('depth: negative when items differ', () => {
+  assertEq(depth(parse('(1 ⋄ 2 3)')), -2);
+  assertEq(depth(parse('(1 ⋄ ⊂(2 ⋄ 3 4))')), -4);
+  assertEq(depth([[1, 2], [3, [4]]]), -3);
+});
+
+test('isSimple and isScalar', () => {
+  assert(isSimple(42) && isSimple('abc') && isSimple([1, 'a', 2]), 'simple values');
+  assert(isSimple(parse('[1 2 ⋄ 3 4]', { typed: true })), 'typed arrays are simple');
+  assert(!isSimple(parse('(1 2 ⋄ 3)')), 'nested vector');
+  assert(!isSimple(parse('⊂1 2')), 'enclosed');
+  assert(isScalar(42) && isScalar('a') && isScalar(parse('⊂1 2')) && isScalar(parse('(a: 1)')), 'scalars');
+  assert(!isScalar('ab') && !isScalar(zilde) && !isScalar('a', { charScalars: true }), 'non-scalars');
+});
+
+// ============== Lossless JSON ==============
+console.log('\n--- Lossless JSON ---');
+
+const viaJSON = (value) => fromJSONLossless(JSON.parse(JSON.stringify(toJSONLossless(value))));
+
+test('lossless: round-trips every kind of value', () => {
+  const source = "(name: 'x' ⋄ grid: [1 2 ⋄ 3 4] ⋄ cube: [[1 2 ⋄ 3 4] ⋄ [5 6 ⋄ 7 8]] ⋄ e: ⊂1 2 ⋄ z: ⍬ ⋄ c: 3J¯4 ⋄ s: 'a' ⋄ empty: '' ⋄ ns: (a: (1 ⋄ 'b')))";
+  for (const options of [{}, { aplArray: true }, { typed: true }, { charScalars: true }, { bigint: 'always' }, { decimal: true }]) {
+    const value = parse(source, options);
+    const result = viaJSON(value);
+    assert(equal(result, value), `equal with ${JSON.stringify(options)}`);
+    assertEq(serialize(result, options), serialize(value, options));
+  }
+});
+
+test('lossless: plain values stay plain', () => {
+  assertEq(toJSONLossless([1, 'ab', null]), [1, 'ab', null]);
+  assertEq(JSON.stringify(toJSONLossless(parse('(a: 1 ⋄ b: 2 3)'))), '{"a":1,"b":[2,3]}');
+});
+
+test('lossless: tags', () => {
+  assertEq(toJSONLossless(zilde), { $aplan: 'zilde' });
+  assertEq(toJSONLossless(new Complex(3, 4)), { $aplan: 'complex', re: 3, im: 4 });
+  assertEq(toJSONLossless(new Char('a')), { $aplan: 'char', value: 'a' });
+  assertEq(toJSONLossless(12345678901234567890n), { $aplan: 'bigint', value: '12345678901234567890' });
+  assertEq(toJSONLossless(new Decimal('¯1.50')), { $aplan: 'decimal', value: '-1.50' });
+  assertEq(toJSONLossless(parse('[1 2 ⋄ 3 4]')), { $aplan: 'array', shape: [2, 2], ravel: [1, 2, 3, 4] });
+  assertEq(toJSONLossless(parse('⊂1 2')), { $aplan: 'enclose', value: [1, 2] });
+});
+
+test('lossless: representation is kept', () => {
+  assert(viaJSON(zilde) === zilde, 'zilde identity');
+  assert(viaJSON(new Char('a')) instanceof Char, 'Char');
+  assert(viaJSON(parse('(a: 1)'))[_ns], 'namespace marker');
+  assertEq(viaJSON(parse('[1 2 ⋄ 3 4]'))._shape, [2, 2]);
+  const typed = viaJSON(parse('[1.5 2 ⋄ 3 4]', { typed: true }));
+  assert(typed instanceof APLArray && typed.ravel instanceof Float64Array, 'typed APLArray');
+  assert(viaJSON(parse('1 2', { aplArray: true })) instanceof APLArray, 'plain APLArray');
+});
+
+test('lossless: empty arrays of any rank', () => {
+  for (const value of [[], '', zilde, reshape([0, 3], [1]), reshape([2, 0, 2], [1]), new APLArray([0, 2], [])]) {
+    const result = viaJSON(value);
+    assertEq(shape(result), shape(value));
+    assert(equal(result, value), JSON.stringify(toJSONLossless(value)));
+  }
+});
+
+test('lossless: unknown tags throw', () => {
+  assertThrows(() => fromJSONLossless({ $aplan: 'mystery' }));
+});
+
+// ============== Names ==============
+console.log('\n--- Names ---');
+
+test('names: letters of any script', () => {
+  const ns = parse('(αβ: 1 ⋄ имя: 2 ⋄ Ωmega: 3 ⋄ ŝ: 4 ⋄ Ⓐb: 5 ⋄ _∆⍙: 6)');
+  assertEq(Object.keys(ns), ['αβ', 'имя', 'Ωmega', 'ŝ', 'Ⓐb', '_∆⍙']);
+  assertEq(serialize(ns, { useDiamond: true }), '(αβ: 1 ⋄ имя: 2 ⋄ Ωmega: 3 ⋄ ŝ: 4 ⋄ Ⓐb: 5 ⋄ _∆⍙: 6)');
+});
+
+test('names: digits and high minus after the first character', () => {
+  assertEq(Object.keys(parse('(a1: 1 ⋄ a¯1: 2)')), ['a1', 'a¯1']);
+  assertEq(serialize({ '¯a': 1, '1a': 2 }, { names: 'skip' }), '()');
+});
+
+test('names: × and ÷ are not letters', () => {
+  for (const source of ['(a×b: 1)', '(÷: 1)']) {
+    assertThrows(() => parse(source), /^Unexpected character/);
+  }
+  assertEq(serialize({ 'a×b': 1 }, { names: 'skip' }), '()');
+});
+
+test('names: system names', () => {
+  const tokens = new Tokenizer('(a: ⎕null ⎕SE)').tokenize();
+  assertEq(tokens.filter(t => t.type === 'SYSNAME').map(t => t.value), ['⎕NULL', '⎕SE']);
+  assertThrows(() => parse('⎕'), /^Expected system name after ⎕/);
+  assertThrows(() => parse('(⎕IO: 1)'), /^System name ⎕IO cannot be a namespace member/);
+  assertThrows(() => parse('(a: 1 ⋄ ⎕io: 2)'), /^System name ⎕IO cannot be a namespace member/);
+  assertEq(parseCST('(a: ⎕se)').toString(), '(a: ⎕se)');
+});
+
+// ============== Null ==============
+console.log('\n--- Null ---');
+
+test('null: ⎕NULL parses to null', () => {
+  assert(parse('⎕NULL') === null, 'scalar');
+  assert(parse('⎕null') === null, 'any case');
+  assertEq(parse('(a: ⎕NULL ⋄ b: 1 ⎕NULL ⋄ c: [⎕NULL 1 ⋄ 2 3] ⋄ d: (⎕NULL ⋄ 2))'),
+    { a: null, b: [1, null], c: parse('[⎕NULL 1 ⋄ 2 3]'), d: [null, 2] });
+  assertEq(parse('[⎕NULL 1 ⋄ 2 3]')._shape, [2, 2]);
+  assert(parse('⊂⎕NULL') === null, 'enclosed');
+});
+
+test('null: other system names are not values', () => {
+  assertThrows(() => parse('1 ⎕SE'), AplanSyntaxError);
+});
+
+test('null: serializes as ⎕NULL by default', () => {
+  assertEq(serialize(null), '⎕NULL');
+  assertEq(serialize({ a: null, b: [1, null] }, { useDiamond: true }), '(a: ⎕NULL ⋄ b: (1 ⋄ ⎕NULL))');
+  const source = '(a: ⎕NULL ⋄ c: [⎕NULL 1 ⋄ 2 3])';
+  assertEq(serialize(parse(source), { useDiamond: true }), source);
+});
+
+test('null: zilde and error options', () => {
+  assertEq(serialize({ a: null }, { null: 'zilde', useDiamond: true }), '(a: ⍬)');
+  assertThrows(() => serialize([1, null], { null: 'error' }), /^Cannot serialize null/);
+  assertThrows(() => serialize(1, { null: 'none' }));
+});
+
+test('null: undefined members are skipped', () => {
+  assertEq(serialize({ a: undefined, b: 1 }, { useDiamond: true }), '(b: 1)');
+  assertEq(serialize({ a: undefined }), '()');
+  assertEq(serialize([undefined, 1], { useDiamond: true }), '(⎕NULL ⋄ 1)');
+  assertEq(serialize({ a: undefined, b: 1 }, { null: 'error', useDiamond: true }), '(b: 1)');
+});
+
+test('null: CST', () => {
+  const doc = parseCST('(a: ⎕NULL ⍝ unset\n)');
+  assertEq(doc.root.type, 'Namespace');
+  assertEq(doc.root.members[0].value.type, 'Null');
+  assert(doc.valueAt(['a']) === null, 'valueAt');
+  assertEq(doc.toString(), '(a: ⎕NULL ⍝ unset\n)');
+});
+
+// ============== Name Mangling ==============
+console.log('\n--- Name Mangling ---');
+
+const oddKeys = () => ({ ok: 1, 'first-name': 2, '2x': 3, 'a b': 4, '': 5, 'x-⍙45⍙': 6, '😀': 7 });
+
+test('names: invalid keys throw by default', () => {
+  assertThrows(() => serialize({ 'first-name': 1 }), '"first-name"');
+});
+
+test('names: skip', () => {
+  assertEq(serialize(oddKeys(), { names: 'skip', useDiamond: true }), '(ok: 1)');
+});
+
+test('names: mangle', () => {
+  assertEq(
+    serialize({ 'first-name': 1, '2x': 2, '': 3, 'x-⍙': 4 }, { names: 'mangle', useDiamond: true }),
+    '(first⍙45⍙name: 1 ⋄ ⍙2x: 2 ⋄ ⍙: 3 ⋄ x⍙45⍙⍙: 4)'
+  );
+  assertEq(serialize({ 'a⍙b': 1 }, { names: 'mangle', useDiamond: true }), '(a⍙b: 1)');
+});
+
+test('names: mangled keys demangle on parse', () => {
+  for (const useDiamond of [true, false]) {
+    const text = serialize(oddKeys(), { names: 'mangle', useDiamond });
+    const result = parse(text, { demangle: true });
+    assertEq(Object.keys(result), Object.keys(oddKeys()));
+    assertEq(result, oddKeys());
+  }
+  assertEq(Object.keys(parse('(first⍙45⍙name: 1)')), ['first⍙45⍙name']);
+});
+
+test('names: keys that look mangled round-trip', () => {
+  const keys = ['⍙', '⍙65⍙', 'a⍙45⍙b', '⍙2x', '1⍙', '2⍙x', '⍙⍙45⍙⍙', 'a⍙99999999⍙'];
+  const ns = Object.fromEntries(keys.map((key, i) => [key, i]));
+  assertEq(serialize({ 'a⍙45⍙b': 1 }, { names: 'mangle', useDiamond: true }), '(a⍙9049⍙45⍙9049⍙b: 1)');
+  assertEq(Object.keys(parse(serialize(ns, { names: 'mangle' }), { demangle: true })), keys);
+  assertEq(Object.keys(exportJSON(importJSON(ns))), keys);
+});
+
+test('names: nested namespaces', () => {
+  const text = serialize({ outer: { 'in-ner': [1, { 'x y': 2 }] } }, { names: 'mangle', useDiamond: true });
+  assertEq(text, '(outer: (in⍙45⍙ner: (1 ⋄ (x⍙32⍙y: 2))))');
+  assertEq(parse(text, { demangle: true }).outer['in-ner'][1]['x y'], 2);
+});
+
+test('names: invalid option', () => {
+  assertThrows(() => serialize({}, { names: 'drop' }));
+});
+
+// ============== Dyalog JSON ==============
+console.log('\n--- Dyalog JSON ---');
+
+test('importJSON: literals', () => {
+  assertEq(importJSON(true), 1);
+  assertEq(importJSON(false), 0);
+  assertEq(importJSON(null), null);
+  assertEq(importJSON([1, 'ab', [true]]), [1, 'ab', [1]]);
+});
+
+test('importJSON: strings are character vectors', () => {
+  const ns = importJSON({ a: 'x', b: ['y'] });
+  assertEq(serialize(ns, { charScalars: true, useDiamond: true }), "(a: ('x' ⋄) ⋄ b: (('y' ⋄) ⋄))");
+  assertEq(shape(ns.a, { charScalars: true }), [1]);
+  assertEq(exportJSON(ns, { charScalars: true }), { a: 'x', b: ['y'] });
+  assertEq(exportJSON(ns), { a: 'x', b: 'y' });
+});
+
+test('importJSON: objects become namespaces with mangled names', () => {
+  const ns = importJSON({ 'a-b': 1, '2x': 2, 'a b': 3, ok: { '$': 4 }, '': 5 });
+  assert(ns[_ns] && ns.ok[_ns], 'namespaces');
+  assertEq(Object.keys(ns), ['a⍙45⍙b', '⍙2x', 'a⍙32⍙b', 'ok', '⍙']);
+  assertEq(ns.ok['⍙36⍙'], 4);
+  assertEq(serialize(ns, { useDiamond: true }), '(a⍙45⍙b: 1 ⋄ ⍙2x: 2 ⋄ a⍙32⍙b: 3 ⋄ ok: (⍙36⍙: 4) ⋄ ⍙: 5)');
+});
+
+test('exportJSON: names are demangled', () => {
+  const data = { 'a-b': 1, '2x': 2, '': 3, '😀': { '$': 4 }, plain: 5 };
+  assertEq(exportJSON(importJSON(data)), data);
+  assertEq(exportJSON(parse('(⍙45⍙x: 1)')), { '-x': 1 });
+});
+
+test('exportJSON: enclosed literals and null', () => {
+  assertEq(exportJSON(parse("(t: ⊂'true' ⋄ f: ⊂'false' ⋄ n: ⊂'null')")), { t: true, f: false, n: null });
+  assertEq(exportJSON([null, 1]), [null, 1]);
+});
+
+test('exportJSON: high-rank arrays are split', () => {
+  assertEq(exportJSON(parse('[1 2 ⋄ 3 4]')), [[1, 2], [3, 4]]);
+  assertEq(exportJSON(parse('[[1 2 ⋄ 3 4] ⋄ [5 6 ⋄ 7 8]]')), [[[1, 2], [3, 4]], [[5, 6], [7, 8]]]);
+  assertEq(exportJSON(parse("['ab' ⋄ 'cd']")), ['ab', 'cd']);
+  assertEq(exportJSON(parse("['ab' ⋄ 'cd']", { aplArray: true })), ['ab', 'cd']);
+  assertEq(exportJSON(parse('[1.5 2 ⋄ 3 4]', { typed: true })), [[1.5, 2], [3, 4]]);
+  assertEq(exportJSON(reshape([2, 0], [1])), [[], []]);
+});
+
+test('exportJSON: highRank error', () => {
+  assertThrows(() => exportJSON(parse('[1 2 ⋄ 3 4]'), { highRank: 'error' }), /^Rank error/);
+  assertEq(exportJSON(parse('1 2'), { highRank: 'error' }), [1, 2]);
+  assertThrows(() => exportJSON(1, { highRank: 'nope' }), /^highRank/);
+});
+
+test('exportJSON: scalars and vectors', () => {
+  assertEq(exportJSON(zilde), []);
+  assertEq(exportJSON(''), '');
+  assertEq(exportJSON(new Char('a')), 'a');
+  assertEq(exportJSON(parse("'a' 'b'", { charScalars: true })), 'ab');
+  assertEq(exportJSON(parse("(x: 'a' 'b' 'c')")), { x: 'abc' });
+  assertEq(exportJSON(['a', 'bc']), ['a', 'bc']);
+  assertEq(exportJSON(parse('3J0')), 3);
+  assertEq(exportJSON(parse('1.25', { decimal: true })), 1.25);
+  assertEq(exportJSON(12n), 12);
+});
+
+test('exportJSON: values without a JSON form', () => {
+  for (const value of [parse('3J4'), parse('⊂1 2'), Infinity]) {
+    assertThrows(() => exportJSON(value), /^Domain error/);
+  }
+});
+
+// ============== Source Positions ==============
+console.log('\n--- Source Positions ---');
+
+test('tokens carry line, column and offset', () => {
+  const tokens = new Tokenizer("(x: 1\n y: 'a')").tokenize();
+  const y = tokens.find(t => t.value === 'y');
+  assertEq(y.line, 2);
+  assertEq(y.column, 2);
+  assertEq(y.offset, 7);
+  const eof = tokens[tokens.length - 1];
+  assertEq([eof.line, eof.column, eof.offset], [2, 9, 14]);
+});
+
+test('CR LF counts as one line break', () => {
+  const tokens = new Tokenizer('(1\r\n2\r3)').tokenize();
+  const two = tokens.find(t => t.value === 2);
+  const three = tokens.find(t => t.value === 3);
+  assertEq([two.line, two.column], [2, 1]);
+  assertEq([three.line, three.column], [3, 1]);
+});
+
+test('unexpected character error location', () => {
+  const e = assertThrows(() => parse('(1 ⋄\n 2 $)'), AplanSyntaxError);
+  assertEq([e.line, e.column, e.offset], [2, 4, 8]);
+  assert(e.message.includes('line 2, column 4'), 'message should include location');
+});
+
+test('unterminated string points at opening quote', () => {
+  const e = assertThrows(() => parse("(1 ⋄ 'abc)"), AplanSyntaxError);
+  assertEq([e.line, e.column], [1, 6]);
+});
+
+test('consume error reports expected and actual token', () => {
+  const e = assertThrows(() => parse('(x: 1 ⋄ 2: 3)'), AplanSyntaxError);
+  assertEq(e.expected, 'NAME');
+  assertEq(e.actual, 'NUMBER');
+  assertEq(e.column, 9);
+});
+
+test('trailing token error reports expected EOF', () => {
+  const e = assertThrows(() => parse('1 2)'), AplanSyntaxError);
+  assertEq(e.expected, 'EOF');
+  assertEq(e.actual, 'RPAREN');
+});
+
+test('error excerpt has caret under offending token', () => {
+  const e = assertThrows(() => parse('(\n a: 1\n b: )'), AplanSyntaxError);
+  assertEq(e.excerpt, '3 |  b: )\n  |     ^');
+  assert(e.message.endsWith(e.excerpt), 'message should end with excerpt');
+});
+
+// ============== Comments ==============
+console.log('\n--- Comments ---');
+
+test('comment after scalar', () => {
+  assertEq(parse('42 ⍝ the answer'), 42);
+});
+
+test('comment-only lines in vector', () => {
+  assertEq(parse('(\n ⍝ header\n 1\n ⍝ middle\n 2 ⍝ trailing\n)'), [1, 2]);
+});
+
+test('comments in namespace', () => {
+  const result = parse("( ⍝ settings\n name: 'x' ⍝ the name\n size: 3\n)");
+  assertEq(result.name, 'x');
+  assertEq(result.size, 3);
+  assertEq(Object.keys(result), ['name', 'size']);
+});
+
+test('comments in matrix', () => {
+  const result = parse('[ ⍝ rows\n 1 2 ⍝ first\n 3 4\n]');
+  assertEq(result._shape, [2, 2]);
+  assertEq(result[1], [3, 4]);
+});
+
+test('comment swallows diamond and closing paren to end of line', () => {
+  assertEq(parse('(1 ⍝ ⋄ 2)\n 3\n)'), [1, 3]);
+});
+
+test('lamp inside string is not a comment', () => {
+  assertEq(parse("'a ⍝ b'"), 'a ⍝ b');
+  assertEq(parse("('⍝' ⋄ 'x⍝') ⍝ real"), ['⍝', 'x⍝']);
+});
+
+test('comment before CR LF', () => {
+  assertEq(parse('(1 ⍝ one\r\n2)'), [1, 2]);
+});
+
+// ============== Concrete Syntax Tree ==============
+console.log('\n--- Concrete Syntax Tree ---');
+
+const configSource = `( ⍝ app config
+  name:    'demo'
+  limits:  1E5 2.50 ¯3  ⍝ max, ratio, floor
+  tags:    ('a' ⋄ 'bc')
+  grid:    [1 2
+            3 4]
+)
+`;
+
+test('trivia tokens concatenate back to source', () => {
+  const tokens = new Tokenizer(configSource, { trivia: true }).tokenize();
+  assertEq(tokens.map(t => t.text).join(''), configSource);
+  assert(tokens.some(t => t.type === 'COMMENT' && t.text === '⍝ max, ratio, floor'), 'comment token');
+});
+
+test('tokens carry end offset', () => {
+  const tokens = new Tokenizer("'it''s' 1E5").tokenize();
+  assertEq([tokens[0].offset, tokens[0].end], [0, 7]);
+  assertEq([tokens[1].offset, tokens[1].end], [8, 11]);
+});
+
+test('parseCST prints source unchanged', () => {
+  const doc = parseCST(configSource);
+  assertEq(doc.toString(), configSource);
+});
+
+test('CST node types and spans', () => {
+  const doc = parseCST(configSource);
+  assertEq(doc.root.type, 'Namespace');
+  assertEq(doc.root.members.map(m => m.name), ['name', 'limits', 'tags', 'grid']);
+  const limits = doc.find(['limits']);
+  assertEq(limits.type, 'Strand');
+  assertEq(doc.textOf(limits), '1E5 2.50 ¯3');
+  assertEq(doc.textOf(doc.find(['limits', 1])), '2.50');
+  assertEq(doc.find(['tags']).type, 'Vector');
+  assertEq(doc.find(['grid']).type, 'Matrix');
+});
+
+test('CST value at path', () => {
+  const doc = parseCST(configSource);
+  assertEq(doc.valueAt(['limits']), [100000, 2.5, -3]);
+  assertEq(doc.valueAt(['tags', 1]), 'bc');
+  assertEq(doc.valueAt(['grid', 1, 0]), 3);
+});
+
+test('CST set namespace member preserves everything else', () => {
+  const doc = parseCST(configSource);
+  doc.set(['name'], 'prod');
+  assertEq(doc.toString(), configSource.replace("'demo'", "'prod'"));
+  assertEq(parse(doc.toString()).name, 'prod');
+});
+
+test('CST set vector element', () => {
+  const doc = parseCST(configSource);
+  doc.set(['tags', 0], 'xyz');
+  assertEq(doc.toString(), configSource.replace("('a' ⋄", "('xyz' ⋄"));
+});
+
+test('CST set strand element keeps number spelling of neighbours', () => {
+  const doc = parseCST(configSource);
+  doc.set(['limits', 2], -4);
+  assertEq(doc.toString(), configSource.replace('2.50 ¯3', '2.50 ¯4'));
+});
+
+test('CST set strand element to vector parenthesises it', () => {
+  const doc = parseCST('(v: 1 2 3)');
+  doc.set(['v', 1], [7, 8]);
+  assertEq(doc.toString(), '(v: 1 (7 8) 3)');
+  assertEq(parse(doc.toString()).v, [1, [7, 8], 3]);
+});
+
+test('CST strands include parenthesised and bracketed items', () => {
+  const doc = parseCST("(1 2) 'ab' [3 ⋄ 4] ⍬");
+  assertEq(doc.root.type, 'Strand');
+  assertEq(doc.root.items.map(n => n.type), ['Group', 'String', 'Matrix', 'Zilde']);
+  assertEq(doc.valueAt([0, 1]), 2);
+});
+
+test('CST edits can be chained', () => {
+  const doc = parseCST(configSource);
+  doc.set(['name'], 'x').set(['grid', 0, 1], 20);
+  assertEq(doc.valueAt(['grid', 0]), [1, 20]);
+  assert(doc.toString().includes('⍝ app config'), 'comment kept');
+});
+
+test('CST grouping parentheses are transparent', () => {
+  const doc = parseCST('(a: (42))');
+  doc.set(['a'], 7);
+  assertEq(doc.toString(), '(a: (7))');
+});
+
+test('CST missing path throws', () => {
+  const doc = parseCST(configSource);
+  assertThrows(() => doc.set(['missing'], 1), 'missing');
+});
+
 // ============== Summary ==============
 console.log('\n=== Summary ===');
 console.log(`Passed: ${passed}`);
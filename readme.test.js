@@ -4,7 +4,9 @@
  */
 
 import { readFileSync } from 'fs';
-import { parse, serialize, equal, get, zilde, _ns } from './japlan.js';
+import * as japlan from './japlan.js';
+
+const { equal } = japlan;
 
 const readme = readFileSync('README.md', 'utf-8');
 
@@ -50,9 +52,9 @@ for (let i = 0; i < codeBlocks.length; i++) {
       })
       .join('\n');
 
-    // Create function with imports in scope
-    const fn = new Function('parse', 'serialize', 'equal', 'get', 'zilde', '_ns', testCode);
-    fn(parse, serialize, equal, get, zilde, _ns);
+    // Create function with all exports in scope
+    const fn = new Function(...Object.keys(japlan), testCode);
+    fn(...Object.values(japlan));
 
     console.log(`✓ Block ${i + 1}: ${preview}`);
     passed++;